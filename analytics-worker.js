@@ -0,0 +1,31 @@
+/* Analytics worker: holds the columnar dataset and answers dispatch() requests
+   off the main thread.
+
+   in:  { type: "data", payload }              columns, sent once per dataset
+        { type: "run", id, request }           subset indices + what to compute
+   out: { id, result } | { id, cancelled: true } | { id, error }
+
+   A newer "run" supersedes older ones: the engine yields between matrix rows,
+   so the new message is seen and the stale request stops early.
+*/
+
+importScripts("stats.js");
+
+const engine = SpotifyStats.createEngine();
+let latest = 0;
+
+self.onmessage = async ({ data: msg }) => {
+  if (msg.type === "data") {
+    engine.setData(msg.payload);
+    return;
+  }
+  if (msg.type !== "run") return;
+
+  latest = msg.id;
+  try {
+    const result = await engine.run(msg.request, () => msg.id !== latest);
+    self.postMessage(result ? { id: msg.id, result } : { id: msg.id, cancelled: true });
+  } catch (err) {
+    self.postMessage({ id: msg.id, error: String(err && err.message || err) });
+  }
+};
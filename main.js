@@ -1,9 +1,34 @@
 /* Spotify Popularity Explorer (D3 v7)
    Views:
-   - Scatter: Energy vs Popularity (brush selects subset)
-   - Bar: Avg popularity by genre (click filters genre)
-   - Line: Avg popularity by year
-   - Heatmap: Pearson correlation of features on current subset
+   - Feature filters: one histogram per feature, brushable into a range filter;
+     each counts the tracks passing every other filter (crossfilter style)
+   - Scatter: any two numeric features, default Energy vs Popularity; box or lasso
+     selects a subset (shift adds, alt subtracts), wheel zooms, pan mode drags
+   - Bar: Avg popularity by genre (click filters genre, ctrl/shift-click adds genres)
+   - Artists: top artists by mean or total popularity with genre mix (click filters artist)
+   - Line: Mean or median of any feature(s) by year, one series per metric and selected
+     genre (several metrics z-scored), with an optional CI / IQR band; or yearly
+     box plots / violins
+   - Heatmap: Pearson / Spearman / Kendall correlation of features on current subset,
+     non-significant cells muted; click a cell for the pair detail
+   - Pair detail: the two features of a heatmap cell with OLS and LOESS fits,
+     points or hexbin density
+   - Model: linear / ridge regression of popularity on the audio features,
+     standardized coefficients and held-out residuals
+   - Table: sortable, searchable track list; hover rings the scatter point,
+     selected rows become the selection
+   - Similar tracks: double-click a scatter point (or table row) for its nearest
+     neighbours on weighted audio features; ringed on the scatter, selectable
+   - Profiles: mean / median audio profile of the top genres (0–1 scaled) as a
+     radar or parallel coordinates; track-level parallel coordinates with
+     axis brushes that select tracks
+   - Projection: PCA of the features with loading arrows, or a t-SNE map of a
+     sample (computed in projection-worker.js); brush selects tracks
+   - Compare: hits (popularity at or above a cutoff) or the selection against
+     the rest; per feature mirrored distributions, Δ mean, Cohen's d and Welch p,
+     ranked by |d|
+   Saved views (sidebar, localStorage) restore the full state; undo / redo
+   (Ctrl+Z / Ctrl+Shift+Z) steps through every dispatched change.
 */
 
 const DATA_PATH = "data/spotify_clean.csv";
@@ -22,6 +47,40 @@ const FEATURES_FOR_HEATMAP = [
   "popularity"
 ];
 
+// Predictors for the popularity model
+const MODEL_FEATURES = FEATURES_FOR_HEATMAP.filter(f => f !== "popularity");
+
+// Audio features compared by the similar-track finder
+const SIMILARITY_FEATURES = MODEL_FEATURES;
+
+// Numeric fields produced by parseRow that can be put on a scatter axis.
+// `unit` is appended to axis labels; `format` is used in tooltips.
+const NUMERIC_FIELDS = {
+  popularity:       { label: "Popularity",       unit: "0–100", format: d3.format("d") },
+  danceability:     { label: "Danceability",     unit: "0–1",   format: d3.format(".2f") },
+  energy:           { label: "Energy",           unit: "0–1",   format: d3.format(".2f") },
+  valence:          { label: "Valence",          unit: "0–1",   format: d3.format(".2f") },
+  speechiness:      { label: "Speechiness",      unit: "0–1",   format: d3.format(".2f") },
+  acousticness:     { label: "Acousticness",     unit: "0–1",   format: d3.format(".2f") },
+  instrumentalness: { label: "Instrumentalness", unit: "0–1",   format: d3.format(".3f") },
+  liveness:         { label: "Liveness",         unit: "0–1",   format: d3.format(".2f") },
+  tempo:            { label: "Tempo",            unit: "BPM",   format: d3.format(".1f") },
+  loudness:         { label: "Loudness",         unit: "dB",    format: d3.format(".1f") },
+  duration_ms:      { label: "Duration",         unit: "ms",    format: d3.format(",d") },
+  year:             { label: "Release year",     unit: "",      format: d3.format("d") }
+};
+
+// Shared genre colours (scatter points, line series); domain is set once the data loads
+const genreColor = d3.scaleOrdinal();
+
+// Fields the over-time chart can plot (year is its x axis)
+const LINE_METRICS = Object.keys(NUMERIC_FIELDS).filter(k => k !== "year");
+
+// Line colours for several metrics without a genre split; with genres selected
+// the colours stay per genre and metrics get these dash patterns instead
+const metricColor = d3.scaleOrdinal(LINE_METRICS, d3.schemeSet2.concat(d3.schemePastel1));
+const METRIC_DASHES = [null, "6,3", "2,3", "8,3,2,3"];
+
 const fmt = {
   int: d3.format(",d"),
   num2: d3.format(".2f"),
@@ -30,31 +89,129 @@ const fmt = {
 
 const els = {
   genreSelect: document.getElementById("genreSelect"),
+  artistInput: document.getElementById("artistInput"),
+  artistList: document.getElementById("artistList"),
+  artistRank: document.getElementById("artistRank"),
+  artistMeta: document.getElementById("artistMeta"),
   yearMin: document.getElementById("yearMin"),
   yearMax: document.getElementById("yearMax"),
   popMin: document.getElementById("popMin"),
   popMax: document.getElementById("popMax"),
   clearBrushBtn: document.getElementById("clearBrushBtn"),
   resetBtn: document.getElementById("resetBtn"),
+  exportCsvBtn: document.getElementById("exportCsvBtn"),
+  exportJsonBtn: document.getElementById("exportJsonBtn"),
+  loadCsvBtn: document.getElementById("loadCsvBtn"),
+  fileInput: document.getElementById("fileInput"),
+  mappingDialog: document.getElementById("mappingDialog"),
+  mappingForm: document.getElementById("mappingForm"),
+  mappingGrid: document.getElementById("mappingGrid"),
+  mappingNote: document.getElementById("mappingNote"),
   tooltip: d3.select("#tooltip"),
   status: document.getElementById("status"),
   scatterMeta: document.getElementById("scatterMeta"),
   barMeta: document.getElementById("barMeta"),
   lineMeta: document.getElementById("lineMeta"),
   heatMeta: document.getElementById("heatMeta"),
+  corrMethod: document.getElementById("corrMethod"),
+  corrAlpha: document.getElementById("corrAlpha"),
+  scatterTitle: document.getElementById("scatterTitle"),
+  scatterX: document.getElementById("scatterX"),
+  scatterY: document.getElementById("scatterY"),
+  scatterMode: document.getElementById("scatterMode"),
+  scatterZoomReset: document.getElementById("scatterZoomReset"),
+  pairCard: document.getElementById("pairCard"),
+  pairTitle: document.getElementById("pairTitle"),
+  pairMeta: document.getElementById("pairMeta"),
+  pairMode: document.getElementById("pairMode"),
+  pairCloseBtn: document.getElementById("pairCloseBtn"),
+  modelMeta: document.getElementById("modelMeta"),
+  lineTitle: document.getElementById("lineTitle"),
+  lineMetrics: document.getElementById("lineMetrics"),
+  lineMetricsSummary: document.getElementById("lineMetricsSummary"),
+  lineView: document.getElementById("lineView"),
+  lineStat: document.getElementById("lineStat"),
+  lineBand: document.getElementById("lineBand"),
+  lineMinN: document.getElementById("lineMinN"),
+  lineSparse: document.getElementById("lineSparse"),
+  ridgeLambda: document.getElementById("ridgeLambda"),
+  similarCard: document.getElementById("similarCard"),
+  similarTitle: document.getElementById("similarTitle"),
+  similarMeta: document.getElementById("similarMeta"),
+  similarK: document.getElementById("similarK"),
+  similarWeights: document.getElementById("similarWeights"),
+  similarList: document.getElementById("similarList"),
+  similarSelectBtn: document.getElementById("similarSelectBtn"),
+  similarResetBtn: document.getElementById("similarResetBtn"),
+  similarCloseBtn: document.getElementById("similarCloseBtn"),
+  tableSearch: document.getElementById("tableSearch"),
+  projTitle: document.getElementById("projTitle"),
+  projMeta: document.getElementById("projMeta"),
+  projMethod: document.getElementById("projMethod"),
+  projSample: document.getElementById("projSample"),
+  projColor: document.getElementById("projColor"),
+  projProgress: document.getElementById("projProgress"),
+  profileTitle: document.getElementById("profileTitle"),
+  profileMeta: document.getElementById("profileMeta"),
+  profileView: document.getElementById("profileView"),
+  profileStat: document.getElementById("profileStat"),
+  compareMeta: document.getElementById("compareMeta"),
+  cohortBy: document.getElementById("cohortBy"),
+  hitCutoff: document.getElementById("hitCutoff"),
+  tableMeta: document.getElementById("tableMeta"),
+  filterMeta: document.getElementById("filterMeta"),
+  clearRangesBtn: document.getElementById("clearRangesBtn"),
+  undoBtn: document.getElementById("undoBtn"),
+  redoBtn: document.getElementById("redoBtn"),
+  saveViewForm: document.getElementById("saveViewForm"),
+  viewName: document.getElementById("viewName"),
+  viewList: document.getElementById("viewList"),
+  viewsNote: document.getElementById("viewsNote"),
 };
 
 const state = {
   data: [],
   filtered: [],
+  subset: [],            // filtered, before the selection is applied
   brushedIds: null,      // Set of ids or null
-  genre: "All",
+  shapes: [],            // scatter selection: rect / lasso shapes in data space, applied in order
+  scatterMode: "box",     // scatter drag: "box" | "lasso" select, or "pan"
+  genre: new Set(),       // selected genres; empty means all
+  artist: null,           // artist filter, or null for all
+  artistRank: "mean",     // artist explorer ranking: "mean" | "total"
   yearMin: null,
   yearMax: null,
   popMin: 0,
   popMax: 100,
-  // performance: cap plotted points for scatter; keep analysis on full filtered subset
-  scatterMaxPoints: 12000
+  ranges: {},             // feature -> [lo, hi] from the histogram strip (popularity uses popMin / popMax)
+  scatterX: "energy",
+  scatterY: "popularity",
+  corrMethod: "pearson",  // key of SpotifyStats.CORR_METHODS
+  alpha: 0.05,            // significance level for muting heatmap cells
+  pair: null,             // {a, b} heatmap cell shown in the pair detail, or null
+  pairMode: "auto",       // pair detail marks: "auto" | "points" | "hexbin"
+  lineMetrics: ["popularity"], // fields plotted over time; several are z-scored
+  lineView: "line",       // over time: "line" | "box" | "violin"
+  lineStat: "mean",       // line statistic: "mean" | "median"
+  lineBand: "none",       // band around the line: "none" | "ci" | "iqr"
+  lineMinN: 10,           // years with fewer tracks are sparse
+  lineSparse: "mark",     // sparse years: "mark" | "hide"
+  similar: null,          // row (idx) whose neighbours are shown, or null
+  similarK: 10,
+  similarWeights: Object.fromEntries(SIMILARITY_FEATURES.map(f => [f, 1])),
+  ridge: 0,               // ridge penalty of the popularity model; 0 = ordinary least squares
+  modelTestShare: 0.2,    // share of tracks held out for the model's R² and residuals
+  projMethod: "pca",      // feature-space projection: "pca" | "tsne"
+  projColor: "genre",     // projection colouring: "genre" | "popularity"
+  projSample: 1500,       // tracks embedded by t-SNE (exact, O(n²) per iteration)
+  profileView: "radar",   // genre profiles: "radar" | "parallel", or "tracks" (parallel coordinates)
+  profileStat: "mean",    // genre profile statistic: "mean" | "median"
+  cohortBy: "popularity", // compared cohorts: "popularity" (hits vs rest) | "selection" (vs rest of subset)
+  hitCutoff: 70,          // popularity at or above which a track is a hit
+  // performance: the scatter canvas draws the full dataset; the cap only
+  // guards very large files and keeps analysis on the full filtered subset
+  scatterMaxPoints: 60000,
+  sampleSeed: 1
 };
 
 function setStatus(msg) { els.status.textContent = msg; }
@@ -67,34 +224,77 @@ function debounce(fn, wait = 200) {
   };
 }
 
+function clearSelection() {
+  state.shapes = [];
+  state.brushedIds = null;
+}
+
 function clamp(v, lo, hi) {
   const x = Number(v);
   if (Number.isNaN(x)) return null;
   return Math.max(lo, Math.min(hi, x));
 }
 
+// Empty cells (missing features) become NaN, not 0
+function num(v) {
+  return v === null || v === undefined || v === "" ? NaN : +v;
+}
+
 function parseRow(d) {
-  // must match preprocess.py output schema
+  // must match preprocess.py output schema (SpotifyPrep.OUT_COLUMNS)
   return {
     id: d.id,
     name: d.track_name,
     artist: d.track_artist,
     genre: d.genre,
-    year: +d.year,
-    popularity: +d.popularity,
-    energy: +d.energy,
-    danceability: +d.danceability,
-    valence: +d.valence,
-    tempo: +d.tempo,
-    loudness: +d.loudness,
-    speechiness: +d.speechiness,
-    acousticness: +d.acousticness,
-    instrumentalness: +d.instrumentalness,
-    liveness: +d.liveness,
-    duration_ms: +d.duration_ms
+    year: num(d.year),
+    popularity: num(d.popularity),
+    energy: num(d.energy),
+    danceability: num(d.danceability),
+    valence: num(d.valence),
+    tempo: num(d.tempo),
+    loudness: num(d.loudness),
+    speechiness: num(d.speechiness),
+    acousticness: num(d.acousticness),
+    instrumentalness: num(d.instrumentalness),
+    liveness: num(d.liveness),
+    duration_ms: num(d.duration_ms)
   };
 }
 
+function fieldLabel(key) {
+  const f = NUMERIC_FIELDS[key];
+  return f.unit ? `${f.label} (${f.unit})` : f.label;
+}
+
+// Domain of a field over the whole loaded dataset, so axes stay put while filtering.
+const extentCache = new Map();
+function fieldExtent(key) {
+  if (!extentCache.has(key)) {
+    const ext = d3.extent(state.data, d => d[key]);
+    extentCache.set(key, ext[0] === undefined ? [0, 1] : ext);
+  }
+  return extentCache.get(key);
+}
+
+// Swap in a new dataset (startup or a user-loaded CSV)
+function setData(rows) {
+  // idx = position in state.data, i.e. the row of the worker's columns
+  rows.forEach((d, i) => { d.idx = i; });
+  state.data = rows;
+  extentCache.clear();
+  filterIndex = FilterIndex(rows);
+  similarityFields = Object.fromEntries(SIMILARITY_FEATURES.map(f =>
+    [f, SpotifyStats.standardize(Float64Array.from(rows, d => d[f]))]));
+  resetProjection();
+  resetUndo();
+  analytics.setData(rows);
+  setControlsFromData(rows);
+}
+
+// Lower-cased artist name -> name as in the data; filled by setControlsFromData
+let artistByName = new Map();
+
 function setControlsFromData(data) {
   const years = data.map(d => d.year).filter(Number.isFinite);
   const yMin = d3.min(years);
@@ -110,121 +310,449 @@ function setControlsFromData(data) {
   els.popMax.value = 100;
 
   const genres = Array.from(new Set(data.map(d => d.genre))).sort(d3.ascending);
-  els.genreSelect.innerHTML = "";
-
-  const optAll = document.createElement("option");
-  optAll.value = "All";
-  optAll.textContent = "All";
-  els.genreSelect.appendChild(optAll);
+  genreColor
+    .domain(genres)
+    .range(d3.schemeTableau10.concat(d3.schemeSet3).slice(0, Math.max(10, genres.length)));
 
+  // Multi-select: nothing selected means all genres
+  els.genreSelect.innerHTML = "";
   for (const g of genres) {
     const opt = document.createElement("option");
     opt.value = g;
     opt.textContent = g;
     els.genreSelect.appendChild(opt);
   }
-  els.genreSelect.value = "All";
+
+  // Autocomplete for the artist filter; lookup is case-insensitive
+  const artists = Array.from(new Set(data.map(d => d.artist).filter(Boolean))).sort(d3.ascending);
+  artistByName = new Map(artists.map(a => [a.toLowerCase(), a]));
+  els.artistList.innerHTML = "";
+  for (const a of artists) {
+    const opt = document.createElement("option");
+    opt.value = a;
+    els.artistList.appendChild(opt);
+  }
+
+  els.corrMethod.innerHTML = "";
+  for (const [key, m] of Object.entries(SpotifyStats.CORR_METHODS)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = m.label;
+    els.corrMethod.appendChild(opt);
+  }
+
+  for (const sel of [els.scatterX, els.scatterY]) {
+    sel.innerHTML = "";
+    for (const key of Object.keys(NUMERIC_FIELDS)) {
+      const opt = document.createElement("option");
+      opt.value = key;
+      opt.textContent = NUMERIC_FIELDS[key].label;
+      sel.appendChild(opt);
+    }
+  }
+
+  els.lineMetrics.innerHTML = "";
+  for (const key of LINE_METRICS) {
+    const label = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.value = key;
+    label.append(box, ` ${NUMERIC_FIELDS[key].label}`);
+    els.lineMetrics.appendChild(label);
+  }
+  syncControls();
 }
 
-function applyFilters() {
-  const base = state.data;
+// Push state values back into the header/card controls.
+function syncControls() {
+  for (const opt of els.genreSelect.options) opt.selected = state.genre.has(opt.value);
+  els.artistInput.value = state.artist || "";
+  els.artistRank.value = state.artistRank;
+  els.yearMin.value = state.yearMin;
+  els.yearMax.value = state.yearMax;
+  els.popMin.value = state.popMin;
+  els.popMax.value = state.popMax;
+  els.scatterX.value = state.scatterX;
+  els.scatterY.value = state.scatterY;
+  els.scatterMode.value = state.scatterMode;
+  els.corrMethod.value = state.corrMethod;
+  els.corrAlpha.value = String(state.alpha);
+  els.pairMode.value = state.pairMode;
+  els.ridgeLambda.value = String(state.ridge);
+  els.similarK.value = String(state.similarK);
+  similarView.syncWeights();
+  for (const box of els.lineMetrics.querySelectorAll("input")) box.checked = state.lineMetrics.includes(box.value);
+  els.lineMetricsSummary.textContent = state.lineMetrics.map(k => NUMERIC_FIELDS[k].label).join(", ");
+  els.lineView.value = state.lineView;
+  els.lineStat.value = state.lineStat;
+  els.lineBand.value = state.lineBand;
+  els.lineMinN.value = state.lineMinN;
+  els.lineSparse.value = state.lineSparse;
+  els.projMethod.value = state.projMethod;
+  els.projColor.value = state.projColor;
+  els.projSample.value = String(state.projSample);
+  els.projSample.disabled = state.projMethod !== "tsne";
+  els.profileView.value = state.profileView;
+  els.profileStat.value = state.profileStat;
+  els.profileStat.disabled = state.profileView === "tracks";
+  els.cohortBy.value = state.cohortBy;
+  els.hitCutoff.value = state.hitCutoff;
+  els.hitCutoff.disabled = state.cohortBy !== "popularity";
+}
+
+/* ---------- Filter index (crossfilter over pre-sorted columns) ---------- */
+
+// Numeric fields with a range filter: year and popularity from the header
+// inputs, the other features from the histogram strip
+const FILTER_FIELDS = ["year", ...FEATURES_FOR_HEATMAP];
+const HIST_FIELDS = FEATURES_FOR_HEATMAP;
+const HIST_BINS = 24;
+
+// Every row keeps a bitmask of the filters it fails: one bit per field in
+// FILTER_FIELDS, then genre and artist. A range change only flips the rows
+// between the old and new bounds in that field's sorted index, a category
+// change only the rows of the values that switched, and "passes every filter
+// but this one" is a mask test, which is what the histograms count.
+function FilterIndex(rows) {
+  const api = {};
+  const n = rows.length;
+  const fail = new Uint32Array(n);
+
+  const ranges = FILTER_FIELDS.map((field, k) => {
+    const values = Float64Array.from(rows, d => d[field]);
+    const finite = [];
+    const missing = [];
+    for (let i = 0; i < n; i++) (Number.isFinite(values[i]) ? finite : missing).push(i);
+    finite.sort((a, b) => values[a] - values[b]);
+    // Rows without a value sort last: inside the slice only while unfiltered
+    const order = Uint32Array.from(finite.concat(missing));
+    const sorted = Float64Array.from(finite, i => values[i]);
+    return { field, bit: 1 << k, values, order, sorted, lo: 0, hi: n };
+  });
+  const byField = new Map(ranges.map(r => [r.field, r]));
+
+  function categories(key, bit) {
+    const rowsBy = d3.group(d3.range(n), i => rows[i][key]);
+    return { bit, rowsBy, passes: () => true };
+  }
+  const genreDim = categories("genre", 1 << FILTER_FIELDS.length);
+  const artistDim = categories("artist", 1 << (FILTER_FIELDS.length + 1));
+
+  // Histogram bins span the central 99% of values; the tails land in the end bins
+  const hists = HIST_FIELDS.map(field => {
+    const { sorted, values } = byField.get(field);
+    let x0 = d3.quantileSorted(sorted, 0.005);
+    let x1 = d3.quantileSorted(sorted, 0.995);
+    if (!(x1 > x0)) [x0, x1] = [sorted[0] || 0, sorted[sorted.length - 1] || 1];
+    if (!(x1 > x0)) x1 = x0 + 1;
+    const bins = new Uint8Array(n);
+    const w = (x1 - x0) / HIST_BINS;
+    for (let i = 0; i < n; i++) {
+      bins[i] = Number.isFinite(values[i])
+        ? Math.max(0, Math.min(HIST_BINS - 1, Math.floor((values[i] - x0) / w)))
+        : 255;
+    }
+    return { field, k: FILTER_FIELDS.indexOf(field), x0, x1, bins };
+  });
+
+  // [lo, hi] keeps rows with lo <= value <= hi; null keeps every row
+  api.filterRange = (field, range) => {
+    const dim = byField.get(field);
+    const lo = range ? d3.bisectLeft(dim.sorted, range[0]) : 0;
+    const hi = range ? d3.bisectRight(dim.sorted, range[1]) : n;
+    const { order, bit, lo: lo0, hi: hi0 } = dim;
+    // Rows leaving [lo0, hi0) for outside [lo, hi) fail; rows entering pass
+    for (let j = lo0; j < Math.min(hi0, lo); j++) fail[order[j]] |= bit;
+    for (let j = Math.max(lo0, hi); j < hi0; j++) fail[order[j]] |= bit;
+    for (let j = lo; j < Math.min(hi, lo0); j++) fail[order[j]] &= ~bit;
+    for (let j = Math.max(lo, hi0); j < hi; j++) fail[order[j]] &= ~bit;
+    dim.lo = lo;
+    dim.hi = hi;
+  };
+
+  function filterCategories(dim, passes) {
+    for (const [value, idx] of dim.rowsBy) {
+      const now = passes(value);
+      if (now === dim.passes(value)) continue;
+      for (const i of idx) {
+        if (now) fail[i] &= ~dim.bit;
+        else fail[i] |= dim.bit;
+      }
+    }
+    dim.passes = passes;
+  }
+
+  // An empty set keeps every genre
+  api.filterGenres = (genres) => {
+    const picked = new Set(genres);
+    filterCategories(genreDim, g => !picked.size || picked.has(g));
+  };
+
+  // null keeps every artist
+  api.filterArtist = (artist) => filterCategories(artistDim, a => !artist || a === artist);
+
+  api.bits = { genre: genreDim.bit, artist: artistDim.bit };
+
+  // Rows (in data order) passing every filter, ignoring those whose bits are set in `ignore`
+  api.rows = (ignore = 0) => {
+    const keep = ~ignore;
+    const out = [];
+    for (let i = 0; i < n; i++) if ((fail[i] & keep) === 0) out.push(rows[i]);
+    return out;
+  };
+
+  // Per histogram field: { x0, x1, counts } over the rows passing every other filter
+  api.histograms = () => {
+    const counts = hists.map(() => new Uint32Array(HIST_BINS));
+    const slot = new Map(hists.map((h, j) => [h.k, j]));
+    for (let i = 0; i < n; i++) {
+      const m = fail[i];
+      if (m === 0) {
+        for (let j = 0; j < hists.length; j++) {
+          const b = hists[j].bins[i];
+          if (b !== 255) counts[j][b]++;
+        }
+      } else if ((m & (m - 1)) === 0) {
+        // Fails exactly one filter: counts only in that field's own histogram
+        const j = slot.get(31 - Math.clz32(m));
+        if (j !== undefined && hists[j].bins[i] !== 255) counts[j][hists[j].bins[i]]++;
+      }
+    }
+    return Object.fromEntries(hists.map((h, j) => [h.field, { x0: h.x0, x1: h.x1, counts: counts[j] }]));
+  };
+
+  return api;
+}
+
+let filterIndex = null;
+
+// Range filter of a histogram field, or null; popularity's is the header's min/max
+function fieldRange(field) {
+  if (field === "popularity") {
+    return state.popMin === 0 && state.popMax === 100 ? null : [state.popMin, state.popMax];
+  }
+  return state.ranges[field] || null;
+}
 
-  const yrLo = state.yearMin;
-  const yrHi = state.yearMax;
-  const pLo = state.popMin;
-  const pHi = state.popMax;
+function setFieldRange(field, range) {
+  if (field === "popularity") {
+    state.popMin = range ? clamp(Math.floor(range[0]), 0, 100) : 0;
+    state.popMax = range ? clamp(Math.ceil(range[1]), 0, 100) : 100;
+    syncControls();
+  } else if (range) {
+    state.ranges[field] = range;
+  } else {
+    delete state.ranges[field];
+  }
+}
 
-  let out = base.filter(d =>
-    d.year >= yrLo && d.year <= yrHi &&
-    d.popularity >= pLo && d.popularity <= pHi
-  );
+function rangesLabel() {
+  const parts = Object.keys(state.ranges).map(f => {
+    const [lo, hi] = state.ranges[f];
+    return `${NUMERIC_FIELDS[f].label} ${NUMERIC_FIELDS[f].format(lo)}–${NUMERIC_FIELDS[f].format(hi)}`;
+  });
+  return parts.length ? parts.join(", ") : "none";
+}
 
-  if (state.genre !== "All") {
-    out = out.filter(d => d.genre === state.genre);
+function applyFilters() {
+  // Only rows on either side of a changed bound are touched (see FilterIndex)
+  filterIndex.filterRange("year", [state.yearMin, state.yearMax]);
+  filterIndex.filterRange("popularity", [state.popMin, state.popMax]);
+  for (const f of HIST_FIELDS) {
+    if (f !== "popularity") filterIndex.filterRange(f, state.ranges[f] || null);
   }
+  filterIndex.filterGenres(state.genre);
+  filterIndex.filterArtist(state.artist);
+
+  // The bar chart skips the genre filter and the artist explorer the artist
+  // filter, so further genres / another artist can be picked from them
+  let out = filterIndex.rows();
+  const anyGenre = filterIndex.rows(filterIndex.bits.genre);
+  const anyArtist = filterIndex.rows(filterIndex.bits.artist);
 
-  // Apply brush subset if active
-  if (state.brushedIds && state.brushedIds.size > 0) {
-    out = out.filter(d => state.brushedIds.has(d.id));
+  state.subset = out;
+
+  // Apply selection shapes / id selection if active (to every filtered track, not only the plotted sample)
+  if (selectionActive()) {
+    out = out.filter(isSelected);
   }
 
   state.filtered = out;
+  state.filteredAnyGenre = selectionActive() ? anyGenre.filter(isSelected) : anyGenre;
+  state.filteredAnyArtist = selectionActive() ? anyArtist.filter(isSelected) : anyArtist;
   setStatus(`Showing ${fmt.int(out.length)} tracks (filters + selection).`);
 }
 
-function topGenres(data, k = 10) {
-  const roll = d3.rollups(data, v => ({
-    n: v.length,
-    avg: d3.mean(v, d => d.popularity)
-  }), d => d.genre);
+function selectionActive() {
+  return Boolean(state.shapes.length || (state.brushedIds && state.brushedIds.size > 0));
+}
+
+function isSelected(d) {
+  if (state.shapes.length && !inShapes(d, state.shapes)) return false;
+  if (state.brushedIds && state.brushedIds.size > 0 && !state.brushedIds.has(d.id)) return false;
+  return true;
+}
 
-  roll.sort((a, b) => d3.descending(a[1].avg, b[1].avg));
-  return roll.slice(0, k).map(([genre, stats]) => ({ genre, ...stats }));
+function genreLabel() {
+  return state.genre.size ? Array.from(state.genre).sort(d3.ascending).join(", ") : "All";
 }
 
-function yearlyAvg(data) {
-  const roll = d3.rollups(
-    data,
-    v => ({ n: v.length, avg: d3.mean(v, d => d.popularity) }),
-    d => d.year
-  );
-  roll.sort((a, b) => d3.ascending(a[0], b[0]));
-  return roll.map(([year, stats]) => ({ year: +year, ...stats }));
+// Plain click selects just this genre (or clears it); additive click adds/removes it
+function toggleGenre(genre, additive) {
+  const next = new Set(additive ? state.genre : []);
+  if (state.genre.has(genre) && (additive || state.genre.size === 1)) next.delete(genre);
+  else next.add(genre);
+  state.genre = next;
+  syncControls();
 }
 
-function pearsonCorr(x, y) {
-  // Robust Pearson correlation
-  const n = Math.min(x.length, y.length);
-  if (n < 3) return NaN;
+// Picking the filtered artist again clears the filter
+function toggleArtist(artist) {
+  state.artist = state.artist === artist ? null : artist;
+  syncControls();
+  clearSelection();
+  dispatch();
+}
 
-  let sx = 0, sy = 0;
-  for (let i = 0; i < n; i++) { sx += x[i]; sy += y[i]; }
-  const mx = sx / n, my = sy / n;
+// A shape is { op: "add" | "sub", type: "rect", x0, x1, y0, y1 } or
+// { op, type: "lasso", points: [[x, y], ...] } on the current scatter axes
+function inShape(d, s) {
+  const vx = d[state.scatterX];
+  const vy = d[state.scatterY];
+  if (s.type === "rect") return vx >= s.x0 && vx <= s.x1 && vy >= s.y0 && vy <= s.y1;
+  return Number.isFinite(vx) && Number.isFinite(vy) && d3.polygonContains(s.points, [vx, vy]);
+}
 
-  let num = 0, dx = 0, dy = 0;
-  for (let i = 0; i < n; i++) {
-    const a = x[i] - mx;
-    const b = y[i] - my;
-    num += a * b;
-    dx += a * a;
-    dy += b * b;
+// "add" shapes union, "sub" shapes cut, in drawing order; a selection that
+// starts with a cut cuts from every track
+function inShapes(d, shapes) {
+  let inside = shapes[0].op === "sub";
+  for (const s of shapes) {
+    if (inShape(d, s)) inside = s.op === "add";
   }
-  const den = Math.sqrt(dx * dy);
-  if (!den) return NaN;
-  return num / den;
+  return inside;
 }
 
-function correlationMatrix(data, features) {
-  // Build vectors once
-  const cols = new Map();
-  for (const f of features) cols.set(f, []);
+// 32-bit FNV-1a of a string, mixed with a seed
+function hashString(str, seed = 0) {
+  let h = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
 
-  for (const d of data) {
-    for (const f of features) {
-      const val = d[f];
-      if (Number.isFinite(val)) cols.get(f).push(val);
-      else cols.get(f).push(NaN);
+// Deterministic sample: keep the k rows with the smallest seeded id hash.
+// A track that is sampled stays sampled when the subset shrinks, so points
+// don't reshuffle on resize, dispatch() or filter changes.
+const sampleRank = new Map();
+function stableSample(data, k, seed = state.sampleSeed) {
+  if (data.length <= k) return data;
+  const rank = d => {
+    const key = `${seed}|${d.id}`;
+    let r = sampleRank.get(key);
+    if (r === undefined) {
+      r = hashString(d.id, seed);
+      sampleRank.set(key, r);
     }
+    return r;
+  };
+  return data.slice().sort((a, b) => rank(a) - rank(b)).slice(0, k);
+}
+
+/* ---------- Analytics (Web Worker) ---------- */
+
+// Aggregations and the correlation matrix run in analytics-worker.js on
+// typed-array columns sent once per dataset; each dispatch() only sends row
+// indices. Only the newest request resolves with a result, older ones resolve
+// null. Without worker support the same engine runs on the page.
+function AnalyticsClient(workerUrl) {
+  const api = {};
+  let worker = null;
+  let local = null;
+  let rows = null;
+  let seq = 0;
+  const pending = new Map();
+
+  try {
+    worker = new Worker(workerUrl);
+  } catch (err) {
+    worker = null; // e.g. opened from file://
   }
 
-  // Align by filtering rows with NaNs for each pair
-  const matrix = [];
-  for (let i = 0; i < features.length; i++) {
-    for (let j = 0; j < features.length; j++) {
-      const a = features[i], b = features[j];
-      const xa = cols.get(a);
-      const yb = cols.get(b);
-      const x = [], y = [];
-      for (let k = 0; k < xa.length; k++) {
-        const vx = xa[k], vy = yb[k];
-        if (Number.isFinite(vx) && Number.isFinite(vy)) {
-          x.push(vx); y.push(vy);
-        }
-      }
-      matrix.push({ a, b, r: pearsonCorr(x, y) });
+  function fallBackToLocal(err) {
+    if (err) console.error(err);
+    worker = null;
+    local = SpotifyStats.createEngine();
+    if (rows) local.setData(buildPayload(rows));
+  }
+
+  if (worker) {
+    worker.onmessage = ({ data: msg }) => {
+      const p = pending.get(msg.id);
+      if (!p) return;
+      pending.delete(msg.id);
+      if (msg.error) p.reject(new Error(msg.error));
+      else p.resolve(msg.id === seq && msg.result ? msg.result : null);
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      fallBackToLocal(new Error(`Analytics worker failed: ${event.message}`));
+      for (const [, p] of pending) p.resolve(null);
+      pending.clear();
+      dispatch();
+    };
+  } else {
+    fallBackToLocal();
+  }
+
+  // Columns for every field the engine reads, plus integer genre and artist codes
+  function buildPayload(rows) {
+    const genres = Array.from(new Set(rows.map(d => d.genre))).sort(d3.ascending);
+    const code = new Map(genres.map((g, i) => [g, i]));
+    const fields = {};
+    for (const f of new Set([...FEATURES_FOR_HEATMAP, "year", "popularity"])) {
+      fields[f] = Float64Array.from(rows, d => d[f]);
     }
+    const genre = Uint16Array.from(rows, d => code.get(d.genre));
+    const artists = Array.from(new Set(rows.map(d => d.artist))).sort(d3.ascending);
+    const artistCode = new Map(artists.map((a, i) => [a, i]));
+    const artist = Uint32Array.from(rows, d => artistCode.get(d.artist));
+    return { n: rows.length, fields, genre, genres, artist, artists };
   }
-  return matrix;
+
+  api.setData = (data) => {
+    rows = data;
+    const payload = buildPayload(rows);
+    if (worker) {
+      // Transfer: the page keeps row objects, the worker owns the columns
+      const transfer = [payload.genre.buffer, payload.artist.buffer, ...Object.values(payload.fields).map(a => a.buffer)];
+      worker.postMessage({ type: "data", payload }, transfer);
+    } else {
+      local.setData(payload);
+    }
+  };
+
+  api.run = (request) => {
+    const id = ++seq;
+    if (!worker) {
+      return local.run(request, () => id !== seq);
+    }
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      const transfer = [request.indices.buffer, request.barIndices.buffer];
+      if (request.artistIndices) transfer.push(request.artistIndices.buffer);
+      if (request.cohorts) transfer.push(request.cohorts.a.buffer, request.cohorts.b.buffer);
+      worker.postMessage({ type: "run", id, request }, transfer);
+    });
+  };
+
+  return api;
+}
+
+function toIndices(rows) {
+  return Uint32Array.from(rows, d => d.idx);
 }
 
 /* ---------- Tooltip ---------- */
@@ -245,155 +773,495 @@ function hideTooltip() {
 
 /* ---------- Chart base helpers ---------- */
 
-function makeSVG(container, { width, height, margin }) {
-  const root = d3.select(container);
-  root.selectAll("*").remove();
+// Views build their SVG skeleton once and update it on every render.
+const TRANSITION_MS = 450;
 
-  const w = width;
-  const h = height;
+// A click that a double-click would undo waits this long for the second click
+const DBLCLICK_MS = 300;
 
-  const svg = root.append("svg")
-    .attr("width", w)
-    .attr("height", h)
-    .attr("viewBox", `0 0 ${w} ${h}`)
+function makeSVG(container, margin) {
+  const svg = d3.select(container).append("svg")
     .attr("role", "img");
 
   const g = svg.append("g")
     .attr("transform", `translate(${margin.left},${margin.top})`);
 
-  return { svg, g, innerW: w - margin.left - margin.right, innerH: h - margin.top - margin.bottom };
+  return { svg, g };
+}
+
+// Fit the SVG to its container; returns the inner plotting size.
+function sizeSVG(svg, container, { minW, minH, margin }) {
+  const rect = container.getBoundingClientRect();
+  const w = Math.max(minW, Math.floor(rect.width) - 20);
+  const h = Math.max(minH, Math.floor(rect.height) - 20);
+
+  svg
+    .attr("width", w)
+    .attr("height", h)
+    .attr("viewBox", `0 0 ${w} ${h}`);
+
+  return { width: w, height: h, innerW: w - margin.left - margin.right, innerH: h - margin.top - margin.bottom };
+}
+
+function addGridlines(g) {
+  return {
+    gx: g.append("g").attr("class", "gridline"),
+    gy: g.append("g").attr("class", "gridline")
+  };
 }
 
-function addGridlines(g, x, y, innerH, innerW) {
-  g.append("g")
-    .attr("class", "gridline")
-    .attr("transform", `translate(0,${innerH})`)
+// t: the render's transition, or null to update at once (zoom, pan)
+function updateGridlines({ gx, gy }, x, y, innerH, innerW, t) {
+  gx.attr("transform", `translate(0,${innerH})`);
+  (t ? gx.transition(t) : gx)
     .call(d3.axisBottom(x).ticks(6).tickSize(-innerH).tickFormat(""));
 
-  g.append("g")
-    .attr("class", "gridline")
+  (t ? gy.transition(t) : gy)
     .call(d3.axisLeft(y).ticks(6).tickSize(-innerW).tickFormat(""));
 }
 
-/* ---------- Scatter (Energy vs Popularity) ---------- */
+function addAxisLabels(g) {
+  const xLabel = g.append("text")
+    .attr("text-anchor", "middle")
+    .attr("fill", "rgba(255,255,255,0.75)");
+  const yLabel = g.append("text")
+    .attr("transform", "rotate(-90)")
+    .attr("text-anchor", "middle")
+    .attr("fill", "rgba(255,255,255,0.75)");
+  return { xLabel, yLabel };
+}
+
+function updateAxisLabels({ xLabel, yLabel }, innerW, innerH, xText, yText) {
+  xLabel.attr("x", innerW / 2).attr("y", innerH + 34).text(xText);
+  yLabel.attr("x", -innerH / 2).attr("y", -38).text(yText);
+}
+
+/* ---------- Feature filters (crossfilter histograms) ---------- */
+
+// One small histogram per feature. Bars count the tracks passing every other
+// filter, so a range set here reshapes all the other histograms but not its own.
+function FilterStripView(containerId) {
+  const container = document.getElementById(containerId);
+  const margin = { top: 4, right: 8, bottom: 18, left: 8 };
+  const height = 84;
+  const api = {};
+
+  const charts = HIST_FIELDS.map(field => {
+    const cell = d3.select(container).append("div").attr("class", "hist-cell");
+    const head = cell.append("div").attr("class", "hist-head");
+    head.append("span").attr("class", "hist-label").text(NUMERIC_FIELDS[field].label);
+    const rangeText = head.append("span").attr("class", "hist-range");
+    const clearBtn = head.append("button")
+      .attr("type", "button")
+      .attr("class", "hist-clear")
+      .attr("title", `Clear the ${NUMERIC_FIELDS[field].label} range`)
+      .text("×")
+      .on("click", () => {
+        setFieldRange(field, null);
+        dispatch();
+      });
+
+    const svg = cell.append("svg").attr("role", "img");
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+    const chart = {
+      field, cell, svg, rangeText, clearBtn,
+      barsG: g.append("g"),
+      axisG: g.append("g").attr("class", "axis"),
+      brushG: g.append("g").attr("class", "brush"),
+      x: d3.scaleLinear(),
+      brushing: false
+    };
+
+    // Brushing up to an end of the axis reaches the field's extent, so the
+    // tail values binned into the end bars stay included
+    chart.brush = d3.brushX()
+      .on("start brush end", ({ type, selection, sourceEvent }) => {
+        if (!sourceEvent) return;
+        chart.brushing = type !== "end";
+        if (!selection) {
+          setFieldRange(field, null);
+        } else {
+          const [s0, s1] = selection;
+          const [w0, w1] = chart.x.range();
+          const [e0, e1] = fieldExtent(field);
+          setFieldRange(field, [s0 <= w0 ? e0 : chart.x.invert(s0), s1 >= w1 ? e1 : chart.x.invert(s1)]);
+        }
+        dispatch();
+      });
+    return chart;
+  });
+
+  // hists: FilterIndex.histograms()
+  api.render = (hists) => {
+    const t = d3.transition().duration(TRANSITION_MS);
+    for (const chart of charts) {
+      const { field, x } = chart;
+      const { x0, x1, counts } = hists[field];
+      const width = Math.max(150, Math.floor(chart.cell.node().getBoundingClientRect().width));
+      const innerW = width - margin.left - margin.right;
+      const innerH = height - margin.top - margin.bottom;
+      chart.svg.attr("width", width).attr("height", height);
+
+      x.domain([x0, x1]).range([0, innerW]);
+      const y = d3.scaleLinear().domain([0, d3.max(counts) || 1]).range([innerH, 0]);
+      const range = fieldRange(field);
+      const binW = innerW / counts.length;
+      const inRange = i => {
+        const mid = x0 + (i + 0.5) * (x1 - x0) / counts.length;
+        return !range || (mid >= range[0] && mid <= range[1]);
+      };
+
+      chart.barsG.selectAll("rect")
+        .data(Array.from(counts))
+        .join("rect")
+        .attr("x", (_, i) => i * binW + 0.5)
+        .attr("width", Math.max(1, binW - 1))
+        .attr("fill", (_, i) => inRange(i) ? "#1db954" : "rgba(255,255,255,0.22)")
+        .transition(t)
+        .attr("y", c => y(c))
+        .attr("height", c => innerH - y(c));
+
+      const big = Math.max(Math.abs(x0), Math.abs(x1)) >= 10000;
+      chart.axisG
+        .attr("transform", `translate(0,${innerH})`)
+        .call(d3.axisBottom(x).ticks(3).tickSize(3).tickFormat(big ? d3.format("~s") : null));
+
+      chart.rangeText.text(range ? `${NUMERIC_FIELDS[field].format(range[0])}–${NUMERIC_FIELDS[field].format(range[1])}` : "");
+      chart.clearBtn.style("visibility", range ? null : "hidden");
+
+      chart.brush.extent([[0, 0], [innerW, innerH]]);
+      chart.brushG.call(chart.brush);
+      if (chart.brushing) continue;
+      chart.brushG.call(chart.brush.move, range
+        ? [Math.max(0, x(range[0])), Math.min(innerW, x(range[1]))]
+        : null);
+    }
+  };
+
+  return api;
+}
+
+/* ---------- Scatter (X vs Y, chosen features) ---------- */
+
+function trackTooltipHtml(d, xKey, yKey) {
+  return `
+    <div class="t-title">${escapeHtml(d.name)}</div>
+    <div class="t-row"><b>Artist:</b> ${escapeHtml(d.artist)}</div>
+    <div class="t-row"><b>Genre:</b> ${escapeHtml(d.genre)} | <b>Year:</b> ${d.year}</div>
+    <div class="t-row"><b>Popularity:</b> ${d.popularity}</div>
+    <div class="t-row"><b>${NUMERIC_FIELDS[xKey].label}:</b> ${NUMERIC_FIELDS[xKey].format(d[xKey])} | <b>${NUMERIC_FIELDS[yKey].label}:</b> ${NUMERIC_FIELDS[yKey].format(d[yKey])}</div>
+    <div class="t-row">Energy ${fmt.num2(d.energy)} | Danceability ${fmt.num2(d.danceability)} | Valence ${fmt.num2(d.valence)}</div>
+  `;
+}
 
 function ScatterView(containerId) {
   const container = document.getElementById(containerId);
   const margin = { top: 14, right: 16, bottom: 40, left: 52 };
+  const pointR = 2.4;
 
   let api = {};
-  let currentBrush = null;
-
-  api.render = (data, metaText = "") => {
-    const rect = container.getBoundingClientRect();
-    const width = Math.max(520, Math.floor(rect.width) - 20);
-    const height = Math.max(380, Math.floor(rect.height) - 20);
 
-    const { svg, g, innerW, innerH } = makeSVG(container, { width, height, margin });
+  // Built once: points go on a 2D canvas, the SVG on top only holds axes,
+  // labels, the selection shapes, the hover ring and the pointer overlay.
+  const root = d3.select(container).classed("viz-layered", true);
+  const canvas = root.append("canvas");
+  const ctx = canvas.node().getContext("2d");
+  const { svg, g } = makeSVG(container, margin);
+
+  const clipId = `${containerId}-clip`;
+  const clipRect = svg.append("defs").append("clipPath").attr("id", clipId).append("rect");
+
+  const grid = addGridlines(g);
+  const xAxisG = g.append("g").attr("class", "axis");
+  const yAxisG = g.append("g").attr("class", "axis");
+  const labels = addAxisLabels(g);
+  const overlay = g.append("rect")
+    .attr("class", "overlay")
+    .attr("fill", "none")
+    .attr("pointer-events", "all");
+  const shapeG = g.append("g").attr("clip-path", `url(#${clipId})`).attr("pointer-events", "none");
+  const draftPath = g.append("path")
+    .attr("fill", "rgba(255,255,255,0.08)")
+    .attr("stroke", "rgba(255,255,255,0.85)")
+    .attr("stroke-dasharray", "4,3")
+    .attr("pointer-events", "none");
+  const markG = g.append("g").attr("clip-path", `url(#${clipId})`).attr("pointer-events", "none");
+  const hoverRing = g.append("circle")
+    .attr("r", pointR + 3)
+    .attr("fill", "none")
+    .attr("stroke", "rgba(255,255,255,0.9)")
+    .attr("stroke-width", 1.5)
+    .attr("pointer-events", "none")
+    .style("display", "none");
+
+  // Base scales span the feature extents; x / y are the same under the zoom
+  let xBase = d3.scaleLinear();
+  let yBase = d3.scaleLinear();
+  let x = xBase;
+  let y = yBase;
+  let tree = d3.quadtree();
+  let xKey = null;
+  let yKey = null;
+  let size = { width: 0, height: 0, innerW: 0, innerH: 0 };
+  let groups = new Map(); // selected? -> genre -> tracks, drawn back to front
+  let marked = null; // findSimilar() result to ring, or null
+  let draft = null; // shape being dragged: { op, points } in pixels
+  let pendingClear = null; // click-to-clear timer, cancelled by a double-click or a new drag
+
+  // The wheel zooms in every mode; dragging pans only in pan mode and draws a
+  // box or lasso otherwise. The transform lives on the overlay, so it survives
+  // re-renders and only resets when the axes change.
+  const zoom = d3.zoom()
+    .scaleExtent([1, 40])
+    .filter(event => event.type === "wheel" || (state.scatterMode === "pan" && !event.ctrlKey && !event.button))
+    .on("zoom", () => draw(null));
+  overlay.call(zoom).on("dblclick.zoom", null);
+
+  // Shift adds to the selection, Alt subtracts from it, a plain drag replaces it
+  const drag = d3.drag()
+    .filter(event => state.scatterMode !== "pan" && !event.button)
+    .on("start", ({ sourceEvent, x: px, y: py }) => {
+      clearTimeout(pendingClear);
+      const op = sourceEvent.altKey ? "sub" : sourceEvent.shiftKey ? "add" : "new";
+      draft = { op, points: [[px, py]] };
+    })
+    .on("drag", ({ x: px, y: py }) => {
+      const p = [Math.max(0, Math.min(size.innerW, px)), Math.max(0, Math.min(size.innerH, py))];
+      if (state.scatterMode === "box") {
+        draft.points = [draft.points[0], p];
+      } else {
+        const [lx, ly] = draft.points[draft.points.length - 1];
+        if (Math.hypot(p[0] - lx, p[1] - ly) >= 3) draft.points.push(p);
+      }
+      draftPath
+        .attr("stroke", draft.op === "sub" ? "#ef476f" : "rgba(255,255,255,0.85)")
+        .attr("d", state.scatterMode === "box" ? boxPath(draft.points) : `M${draft.points.join("L")}Z`);
+    })
+    .on("end", ({ sourceEvent }) => {
+      const { op } = draft;
+      const shape = toShape(draft);
+      draft = null;
+      draftPath.attr("d", null);
+
+      // A click without a drag clears the selection, as the old brush did; it
+      // waits out a double-click, which finds similar tracks and keeps it
+      if (!shape) {
+        if (op === "new" && sourceEvent.detail < 2) {
+          pendingClear = setTimeout(() => {
+            if (!selectionActive()) return;
+            clearSelection();
+            dispatch();
+          }, DBLCLICK_MS);
+        }
+        return;
+      }
+      state.shapes = op === "new" ? [shape] : [...state.shapes, shape];
+      state.brushedIds = null;
+      dispatch();
+    });
+  overlay.call(drag);
 
-    els.scatterMeta.textContent = metaText;
+  function boxPath([[x0, y0], [x1, y1] = [x0, y0]]) {
+    return `M${x0},${y0}H${x1}V${y1}H${x0}Z`;
+  }
 
-    // Plot cap for speed
-    const plotData = data.length > state.scatterMaxPoints
-      ? d3.shuffle(data.slice()).slice(0, state.scatterMaxPoints)
-      : data;
+  // Pixel draft -> data-space shape on the current axes; null for a click
+  function toShape({ op, points }) {
+    const kind = op === "sub" ? "sub" : "add";
+    if (state.scatterMode === "box") {
+      const [[x0, y0], [x1, y1] = [x0, y0]] = points;
+      if (Math.abs(x1 - x0) < 3 && Math.abs(y1 - y0) < 3) return null;
+      return {
+        op: kind,
+        type: "rect",
+        x0: x.invert(Math.min(x0, x1)),
+        x1: x.invert(Math.max(x0, x1)),
+        y0: y.invert(Math.max(y0, y1)),
+        y1: y.invert(Math.min(y0, y1))
+      };
+    }
+    if (points.length < 3 || Math.abs(d3.polygonArea(points)) < 9) return null;
+    // At most ~60 vertices so the shape stays short in the URL
+    const step = Math.ceil(points.length / 60);
+    return {
+      op: kind,
+      type: "lasso",
+      points: points.filter((_, i) => i % step === 0).map(([px, py]) => [x.invert(px), y.invert(py)])
+    };
+  }
 
-    const x = d3.scaleLinear().domain([0, 1]).nice().range([0, innerW]);
-    const y = d3.scaleLinear().domain([0, 100]).nice().range([innerH, 0]);
+  function shapePath(s) {
+    if (s.type === "rect") return boxPath([[x(s.x0), y(s.y0)], [x(s.x1), y(s.y1)]]);
+    return `M${s.points.map(([vx, vy]) => [x(vx), y(vy)]).join("L")}Z`;
+  }
 
-    addGridlines(g, x, y, innerH, innerW);
+  // The overlay receives the pointer events, so hover hit-testing goes
+  // through a quadtree of the plotted pixel positions.
+  svg
+    .on("mousemove", (event) => {
+      if (draft) return;
+      const [px, py] = d3.pointer(event, g.node());
+      const d = tree.find(px, py, 8);
+      if (!d) {
+        hoverRing.style("display", "none");
+        hideTooltip();
+        return;
+      }
+      hoverRing.style("display", null).attr("cx", x(d[xKey])).attr("cy", y(d[yKey]));
+      showTooltip(`${trackTooltipHtml(d, xKey, yKey)}<div class="t-row">Double-click for similar tracks</div>`, event.clientX, event.clientY);
+    })
+    .on("dblclick", (event) => {
+      clearTimeout(pendingClear);
+      const [px, py] = d3.pointer(event, g.node());
+      const d = tree.find(px, py, 8);
+      if (d) openSimilar(d);
+    })
+    .on("mouseleave", () => {
+      hoverRing.style("display", "none");
+      hideTooltip();
+    });
 
-    const xAxis = g.append("g")
-      .attr("class", "axis")
-      .attr("transform", `translate(0,${innerH})`)
-      .call(d3.axisBottom(x).ticks(6));
+  api.render = (data, metaText = "") => {
+    size = sizeSVG(svg, container, { minW: 520, minH: 380, margin });
+    const { width, height, innerW, innerH } = size;
+    const dpr = window.devicePixelRatio || 1;
 
-    const yAxis = g.append("g")
-      .attr("class", "axis")
-      .call(d3.axisLeft(y).ticks(6));
+    canvas
+      .attr("width", Math.round(width * dpr))
+      .attr("height", Math.round(height * dpr))
+      .style("width", `${width}px`)
+      .style("height", `${height}px`);
 
-    // Axis labels
-    g.append("text")
-      .attr("x", innerW / 2)
-      .attr("y", innerH + 34)
-      .attr("text-anchor", "middle")
-      .attr("fill", "rgba(255,255,255,0.75)")
-      .text("Energy (0–1)");
-
-    g.append("text")
-      .attr("transform", "rotate(-90)")
-      .attr("x", -innerH / 2)
-      .attr("y", -38)
-      .attr("text-anchor", "middle")
-      .attr("fill", "rgba(255,255,255,0.75)")
-      .text("Popularity (0–100)");
+    els.scatterMeta.textContent = metaText;
 
-    // Color by genre for readability
-    const genres = Array.from(new Set(plotData.map(d => d.genre))).sort(d3.ascending);
-    const color = d3.scaleOrdinal()
-      .domain(genres)
-      .range(d3.schemeTableau10.concat(d3.schemeSet3).slice(0, Math.max(10, genres.length)));
-
-    const points = g.append("g")
-      .attr("class", "points")
-      .selectAll("circle")
-      .data(plotData, d => d.id)
-      .join("circle")
-      .attr("cx", d => x(d.energy))
-      .attr("cy", d => y(d.popularity))
-      .attr("r", 2.4)
-      .attr("fill", d => color(d.genre))
-      .attr("fill-opacity", 0.75)
-      .attr("stroke", "rgba(0,0,0,0.25)")
-      .attr("stroke-width", 0.4)
-      .on("mousemove", (event, d) => {
-        const html = `
-          <div class="t-title">${escapeHtml(d.name)}</div>
-          <div class="t-row"><b>Artist:</b> ${escapeHtml(d.artist)}</div>
-          <div class="t-row"><b>Genre:</b> ${escapeHtml(d.genre)} | <b>Year:</b> ${d.year}</div>
-          <div class="t-row"><b>Popularity:</b> ${d.popularity}</div>
-          <div class="t-row">Energy ${fmt.num2(d.energy)} | Danceability ${fmt.num2(d.danceability)} | Valence ${fmt.num2(d.valence)}</div>
-        `;
-        showTooltip(html, event.clientX, event.clientY);
-      })
-      .on("mouseleave", hideTooltip);
+    const axesChanged = xKey !== state.scatterX || yKey !== state.scatterY;
+    xKey = state.scatterX;
+    yKey = state.scatterY;
+    els.scatterTitle.textContent =
+      `Feature relationship: ${NUMERIC_FIELDS[xKey].label} vs ${NUMERIC_FIELDS[yKey].label}`;
+
+    // Plot cap only guards very large files; the canvas copes with the full dataset
+    const plotData = stableSample(data, state.scatterMaxPoints);
+    const active = selectionActive();
+    groups = d3.group(
+      plotData.filter(d => Number.isFinite(d[xKey]) && Number.isFinite(d[yKey])),
+      d => !active || isSelected(d),
+      d => d.genre
+    );
+
+    xBase = d3.scaleLinear().domain(fieldExtent(xKey)).nice().range([0, innerW]);
+    yBase = d3.scaleLinear().domain(fieldExtent(yKey)).nice().range([innerH, 0]);
+    clipRect.attr("width", innerW).attr("height", innerH);
+    overlay
+      .attr("width", innerW)
+      .attr("height", innerH)
+      .style("cursor", state.scatterMode === "pan" ? "grab" : "crosshair");
+    zoom.extent([[0, 0], [innerW, innerH]]).translateExtent([[0, 0], [innerW, innerH]]);
+    if (axesChanged) overlay.call(zoom.transform, d3.zoomIdentity);
+
+    updateAxisLabels(labels, innerW, innerH, fieldLabel(xKey), fieldLabel(yKey));
+    draw(svg.transition().duration(TRANSITION_MS));
+  };
 
-    // Brush
-    const brush = d3.brush()
-      .extent([[0, 0], [innerW, innerH]])
-      .on("start brush end", ({ selection }) => {
-        currentBrush = selection;
-        if (!selection) {
-          state.brushedIds = null;
-          dispatch();
-          return;
-        }
+  // Axes, points, shapes and rings under the current zoom; t animates the axes
+  // on render, zoom and pan update at once
+  function draw(t) {
+    const { width, height, innerW, innerH } = size;
+    const dpr = window.devicePixelRatio || 1;
+    const transform = d3.zoomTransform(overlay.node());
+    x = transform.rescaleX(xBase);
+    y = transform.rescaleY(yBase);
 
-        const [[x0, y0], [x1, y1]] = selection;
-        const ids = new Set();
+    updateGridlines(grid, x, y, innerH, innerW, t);
+    xAxisG.attr("transform", `translate(0,${innerH})`);
+    (t ? xAxisG.transition(t) : xAxisG).call(d3.axisBottom(x).ticks(6));
+    (t ? yAxisG.transition(t) : yAxisG).call(d3.axisLeft(y).ticks(6));
 
-        // Use plotData for selection ids. That is fine because selection reflects visible marks.
-        for (const d of plotData) {
-          const cx = x(d.energy);
-          const cy = y(d.popularity);
-          if (cx >= x0 && cx <= x1 && cy >= y0 && cy <= y1) ids.add(d.id);
+    // Color by genre for readability
+    const color = genreColor;
+
+    // Draw dimmed points first so the selection sits on top; one path per colour
+    const inView = [];
+    ctx.setTransform(dpr, 0, 0, dpr, dpr * margin.left, dpr * margin.top);
+    ctx.clearRect(-margin.left, -margin.top, width, height);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, innerW, innerH);
+    ctx.clip();
+    for (const [isSel, alpha] of [[false, 0.12], [true, 0.75]]) {
+      const byGenre = groups.get(isSel);
+      if (!byGenre) continue;
+      ctx.globalAlpha = alpha;
+      for (const [genre, pts] of byGenre) {
+        ctx.fillStyle = color(genre);
+        ctx.beginPath();
+        for (const d of pts) {
+          const cx = x(d[xKey]);
+          const cy = y(d[yKey]);
+          if (cx < -pointR || cx > innerW + pointR || cy < -pointR || cy > innerH + pointR) continue;
+          inView.push(d);
+          ctx.moveTo(cx + pointR, cy);
+          ctx.arc(cx, cy, pointR, 0, 2 * Math.PI);
         }
+        ctx.fill();
+      }
+    }
+    ctx.restore();
+    ctx.globalAlpha = 1;
+
+    tree = d3.quadtree()
+      .x(d => x(d[xKey]))
+      .y(d => y(d[yKey]))
+      .addAll(inView);
+    hoverRing.style("display", "none");
+
+    shapeG.selectAll("path")
+      .data(state.shapes)
+      .join("path")
+      .attr("fill", s => s.op === "sub" ? "rgba(239,71,111,0.10)" : "rgba(255,255,255,0.06)")
+      .attr("stroke", s => s.op === "sub" ? "#ef476f" : "rgba(255,255,255,0.85)")
+      .attr("stroke-dasharray", s => s.op === "sub" ? "4,3" : null)
+      .attr("d", shapePath);
+    drawMarks();
+  }
 
-        state.brushedIds = ids.size ? ids : null;
-        dispatch();
-      });
+  // Similar-track result: the neighbours get rings, the query track a larger one
+  function drawMarks() {
+    const tracks = marked ? [marked.target, ...marked.neighbors.map(n => n.track)] : [];
+    markG.selectAll("circle")
+      .data(tracks.filter(d => Number.isFinite(d[xKey]) && Number.isFinite(d[yKey])), d => d.id)
+      .join("circle")
+      .attr("fill", "none")
+      .attr("stroke", "#ffd166")
+      .attr("stroke-width", d => d === marked.target ? 2.5 : 1.5)
+      .attr("r", d => d === marked.target ? pointR + 6 : pointR + 3)
+      .attr("cx", d => x(d[xKey]))
+      .attr("cy", d => y(d[yKey]));
+  }
 
-    g.append("g").attr("class", "brush").call(brush);
+  api.mark = (result) => {
+    marked = result;
+  };
 
-    // If we already have a brush selection, try to keep it visually
-    if (currentBrush) g.select(".brush").call(brush.move, currentBrush);
+  // Ring a track picked in another view (table hover); null, or a track
+  // zoomed out of view, hides the ring
+  api.highlight = (d) => {
+    const cx = d ? x(d[xKey]) : NaN;
+    const cy = d ? y(d[yKey]) : NaN;
+    if (!(cx >= 0 && cx <= size.innerW && cy >= 0 && cy <= size.innerH)) {
+      hoverRing.style("display", "none");
+      return;
+    }
+    hoverRing.style("display", null).attr("cx", cx).attr("cy", cy);
+  };
 
-    api.clearBrush = () => {
-      currentBrush = null;
-      state.brushedIds = null;
-      g.select(".brush").call(brush.move, null);
-      dispatch();
-    };
+  api.resetZoom = () => {
+    overlay.transition().duration(TRANSITION_MS).call(zoom.transform, d3.zoomIdentity);
+  };
+
+  api.clearBrush = () => {
+    clearSelection();
+    dispatch();
   };
 
   return api;
@@ -405,166 +1273,499 @@ function BarView(containerId) {
   const container = document.getElementById(containerId);
   const margin = { top: 14, right: 10, bottom: 42, left: 58 };
 
-  const api = {};
-  api.render = (data, metaText = "") => {
-    const rect = container.getBoundingClientRect();
-    const width = Math.max(320, Math.floor(rect.width) - 20);
-    const height = Math.max(320, Math.floor(rect.height) - 20);
+  const { svg, g } = makeSVG(container, margin);
+  const yAxisG = g.append("g").attr("class", "axis");
+  const xAxisG = g.append("g").attr("class", "axis");
+  const barG = g.append("g");
 
-    const { g, innerW, innerH } = makeSVG(container, { width, height, margin });
+  const x = d3.scaleLinear();
+  const y = d3.scaleBand().padding(0.15);
 
-    els.barMeta.textContent = metaText;
+  const api = {};
+  // bars: top genres by avg popularity, from the analytics worker
+  api.render = (bars, metaText = "") => {
+    const { innerW, innerH } = sizeSVG(svg, container, { minW: 320, minH: 320, margin });
+    const t = svg.transition().duration(TRANSITION_MS);
 
-    const bars = topGenres(data, 10);
+    els.barMeta.textContent = metaText;
 
-    const x = d3.scaleLinear()
-      .domain([0, d3.max(bars, d => d.avg) || 1])
+    x.domain([0, d3.max(bars, d => d.avg) || 1])
       .nice()
       .range([0, innerW]);
 
-    const y = d3.scaleBand()
-      .domain(bars.map(d => d.genre))
-      .range([0, innerH])
-      .padding(0.15);
+    y.domain(bars.map(d => d.genre))
+      .range([0, innerH]);
 
-    g.append("g")
-      .attr("class", "axis")
+    yAxisG
+      .transition(t)
       .call(d3.axisLeft(y).tickSize(0))
       .selectAll("text")
       .style("font-size", "11px");
 
-    g.append("g")
-      .attr("class", "axis")
+    xAxisG
       .attr("transform", `translate(0,${innerH})`)
+      .transition(t)
       .call(d3.axisBottom(x).ticks(5));
 
-    const barG = g.append("g");
-
+    // Bars grow from the axis on enter and shrink away on exit
     barG.selectAll("rect")
       .data(bars, d => d.genre)
-      .join("rect")
-      .attr("x", 0)
+      .join(
+        enter => enter.append("rect")
+          .attr("x", 0)
+          .attr("y", d => y(d.genre))
+          .attr("height", y.bandwidth())
+          .attr("width", 0)
+          .attr("rx", 6)
+          .attr("stroke", "rgba(255,255,255,0.15)")
+          .on("click", (event, d) => {
+            toggleGenre(d.genre, event.ctrlKey || event.metaKey || event.shiftKey);
+            clearSelection(); // optional: clear brush when genre changes for clarity
+            dispatch();
+          })
+          .on("mousemove", (event, d) => {
+            const html = `
+              <div class="t-title">${escapeHtml(d.genre)}</div>
+              <div class="t-row"><b>Avg popularity:</b> ${d3.format(".1f")(d.avg)}</div>
+              <div class="t-row"><b>Tracks:</b> ${fmt.int(d.n)}</div>
+              <div class="t-row">Click to filter, ctrl/shift-click to add</div>
+            `;
+            showTooltip(html, event.clientX, event.clientY);
+          })
+          .on("mouseleave", hideTooltip),
+        update => update,
+        exit => exit.transition(t).attr("width", 0).remove()
+      )
+      .attr("fill", d => (state.genre.has(d.genre) ? "rgba(255,255,255,0.60)" : "rgba(255,255,255,0.25)"))
+      .transition(t)
       .attr("y", d => y(d.genre))
       .attr("height", y.bandwidth())
-      .attr("width", d => x(d.avg))
-      .attr("rx", 6)
-      .attr("fill", d => (state.genre === d.genre ? "rgba(255,255,255,0.60)" : "rgba(255,255,255,0.25)"))
-      .attr("stroke", "rgba(255,255,255,0.15)")
-      .on("click", (_, d) => {
-        state.genre = (state.genre === d.genre) ? "All" : d.genre;
-        els.genreSelect.value = state.genre;
-        state.brushedIds = null; // optional: clear brush when genre changes for clarity
-        dispatch();
-      })
-      .on("mousemove", (event, d) => {
-        const html = `
-          <div class="t-title">${escapeHtml(d.genre)}</div>
-          <div class="t-row"><b>Avg popularity:</b> ${d3.format(".1f")(d.avg)}</div>
-          <div class="t-row"><b>Tracks:</b> ${fmt.int(d.n)}</div>
-        `;
-        showTooltip(html, event.clientX, event.clientY);
-      })
-      .on("mouseleave", hideTooltip);
+      .attr("width", d => x(d.avg));
 
     barG.selectAll("text.value")
       .data(bars, d => d.genre)
-      .join("text")
-      .attr("class", "value")
+      .join(
+        enter => enter.append("text")
+          .attr("class", "value")
+          .attr("x", 6)
+          .attr("y", d => y(d.genre) + y.bandwidth() / 2 + 4)
+          .attr("fill", "rgba(255,255,255,0.75)")
+          .style("font-family", "var(--mono)")
+          .style("font-size", "11px"),
+        update => update,
+        exit => exit.transition(t).style("opacity", 0).remove()
+      )
+      .text(d => d3.format(".1f")(d.avg))
+      .transition(t)
       .attr("x", d => x(d.avg) + 6)
-      .attr("y", d => y(d.genre) + y.bandwidth() / 2 + 4)
-      .attr("fill", "rgba(255,255,255,0.75)")
-      .style("font-family", "var(--mono)")
-      .style("font-size", "11px")
-      .text(d => d3.format(".1f")(d.avg));
+      .attr("y", d => y(d.genre) + y.bandwidth() / 2 + 4);
+  };
+
+  return api;
+}
+
+/* ---------- Artists (top artists by popularity, genre mix) ---------- */
+
+function ArtistView(containerId) {
+  const container = document.getElementById(containerId);
+  const margin = { top: 10, right: 70, bottom: 36, left: 170 };
+  const api = {};
+
+  const { svg, g } = makeSVG(container, margin);
+  const grid = addGridlines(g);
+  const xAxisG = g.append("g").attr("class", "axis");
+  const yAxisG = g.append("g").attr("class", "axis");
+  const labels = addAxisLabels(g);
+  const barsG = g.append("g");
+
+  const x = d3.scaleLinear();
+  const y = d3.scaleBand().padding(0.2);
+
+  function artistTooltip(d) {
+    const mix = d.genres.map(gn => `${escapeHtml(gn.genre)} ${fmt.int(gn.n)}`).join(", ");
+    return `
+      <div class="t-title">${escapeHtml(d.artist)}</div>
+      <div class="t-row"><b>Mean popularity:</b> ${fmt.num2(d.avg)} | <b>Total:</b> ${fmt.int(d.total)}</div>
+      <div class="t-row"><b>Tracks:</b> ${fmt.int(d.n)}</div>
+      <div class="t-row"><b>Genres:</b> ${mix}</div>
+      <div class="t-row">${state.artist === d.artist ? "Click to clear the artist filter" : "Click to filter every view to this artist"}</div>
+    `;
+  }
+
+  // artists: topArtists() rows from the analytics worker
+  api.render = (artists, metaText = "") => {
+    const { innerW, innerH } = sizeSVG(svg, container, { minW: 520, minH: 320, margin });
+    const t = svg.transition().duration(TRANSITION_MS);
+    els.artistMeta.textContent = metaText;
+
+    const byTotal = state.artistRank === "total";
+    const value = d => byTotal ? d.total : d.avg;
+
+    x.domain([0, d3.max(artists, value) || 1]).nice().range([0, innerW]);
+    y.domain(artists.map(d => d.artist)).range([0, innerH]);
+
+    grid.gx
+      .attr("transform", `translate(0,${innerH})`)
+      .transition(t)
+      .call(d3.axisBottom(x).ticks(6).tickSize(-innerH).tickFormat(""));
+    xAxisG
+      .attr("transform", `translate(0,${innerH})`)
+      .transition(t)
+      .call(d3.axisBottom(x).ticks(6, byTotal ? "~s" : "d"));
+    yAxisG
+      .transition(t)
+      .call(d3.axisLeft(y).tickSize(0).tickPadding(8).tickFormat(a => a.length > 24 ? `${a.slice(0, 23)}…` : a));
+    updateAxisLabels(labels, innerW, innerH, byTotal ? "Total popularity (sum over tracks)" : "Mean popularity", "");
+
+    // One bar per artist, split into genre segments by track share
+    const rows = barsG.selectAll("g.artist")
+      .data(artists, d => d.artist)
+      .join(
+        enter => {
+          const row = enter.append("g")
+            .attr("class", "artist")
+            .attr("transform", d => `translate(0,${y(d.artist)})`)
+            .style("cursor", "pointer")
+            .style("opacity", 0);
+          row.append("g").attr("class", "segments");
+          row.append("text")
+            .attr("class", "count")
+            .attr("dy", "0.35em")
+            .attr("fill", "rgba(255,255,255,0.75)")
+            .style("font-size", "11px");
+          row
+            .on("mousemove", (event, d) => showTooltip(artistTooltip(d), event.clientX, event.clientY))
+            .on("mouseleave", hideTooltip)
+            .on("click", (event, d) => {
+              hideTooltip();
+              toggleArtist(d.artist);
+            });
+          return row;
+        },
+        update => update,
+        exit => exit.transition(t).style("opacity", 0).remove()
+      );
+
+    rows.transition(t)
+      .attr("transform", d => `translate(0,${y(d.artist)})`)
+      .style("opacity", d => !state.artist || state.artist === d.artist ? 1 : 0.45);
+
+    rows.select("g.segments").each(function (d) {
+      const width = x(value(d));
+      let offset = 0;
+      const segs = d.genres.map(gn => {
+        const w = width * gn.n / d.n;
+        const seg = { genre: gn.genre, x: offset, w };
+        offset += w;
+        return seg;
+      });
+      d3.select(this).selectAll("rect")
+        .data(segs, s => s.genre)
+        .join("rect")
+        .attr("height", y.bandwidth())
+        .attr("fill", s => genreColor(s.genre))
+        .attr("stroke", state.artist === d.artist ? "rgba(255,255,255,0.9)" : null)
+        .transition(t)
+        .attr("x", s => s.x)
+        .attr("width", s => Math.max(0, s.w));
+    });
+
+    rows.select("text.count")
+      .attr("y", y.bandwidth() / 2)
+      .text(d => `${fmt.int(d.n)} track${d.n === 1 ? "" : "s"}`)
+      .transition(t)
+      .attr("x", d => x(value(d)) + 6);
   };
 
   return api;
 }
 
-/* ---------- Line (Avg popularity by year) ---------- */
+/* ---------- Line (Features by year: trend or distribution) ---------- */
 
 function LineView(containerId) {
   const container = document.getElementById(containerId);
   const margin = { top: 14, right: 16, bottom: 40, left: 52 };
   const api = {};
 
-  api.render = (data, metaText = "") => {
-    const rect = container.getBoundingClientRect();
-    const width = Math.max(520, Math.floor(rect.width) - 20);
-    const height = Math.max(300, Math.floor(rect.height) - 20);
+  const { svg, g } = makeSVG(container, margin);
+  const grid = addGridlines(g);
+  const xAxisG = g.append("g").attr("class", "axis");
+  const yAxisG = g.append("g").attr("class", "axis");
+  const labels = addAxisLabels(g);
+  const distG = g.append("g");
+  const seriesG = g.append("g");
+  const legendG = g.append("g").attr("class", "legend");
+
+  const x = d3.scaleLinear();
+  const y = d3.scaleLinear();
+
+  // One series per metric and selected genre (or "All"); values come from the worker.
+  // Colour follows the genre when genres are compared, else the metric; with
+  // both, metrics are told apart by dash pattern.
+  api.seriesSpec = () => {
+    const metrics = state.lineMetrics;
+    const genres = state.genre.size ? Array.from(state.genre).sort(d3.ascending) : [null];
+    const multi = metrics.length > 1;
+    return metrics.flatMap((field, mi) => genres.map(genre => ({
+      key: `${field}|${genre ?? "All"}`,
+      field,
+      genres: genre === null ? null : [genre],
+      label: [multi ? NUMERIC_FIELDS[field].label : null, genre ?? (multi ? null : "All")].filter(Boolean).join(" — "),
+      color: genre !== null ? genreColor(genre) : multi ? metricColor(field) : "rgba(255,255,255,0.78)",
+      dash: genre !== null && multi ? METRIC_DASHES[mi % METRIC_DASHES.length] : null
+    })));
+  };
+
+  const BANDS = {
+    ci: { label: "95% CI of the mean", lo: d => d.lo95, hi: d => d.hi95 },
+    iqr: { label: "IQR", lo: d => d.q1, hi: d => d.q3 }
+  };
+
+  function yearTooltip(s, d) {
+    const f = d3.format(",.4~r");
+    const ci = Number.isFinite(d.lo95) ? `[${f(d.lo95)}, ${f(d.hi95)}]` : "NA";
+    const genre = s.genres ? ` — ${escapeHtml(s.genres.join(", "))}` : "";
+    return `
+      <div class="t-title">Year ${d.year}${genre}</div>
+      <div class="t-row"><b>${NUMERIC_FIELDS[s.field].label}</b>${NUMERIC_FIELDS[s.field].unit ? ` (${NUMERIC_FIELDS[s.field].unit})` : ""}</div>
+      <div class="t-row"><b>Mean:</b> ${f(d.avg)} | <b>95% CI:</b> ${ci}</div>
+      <div class="t-row"><b>Median:</b> ${f(d.median)} | <b>IQR:</b> ${f(d.q1)}–${f(d.q3)}</div>
+      <div class="t-row"><b>Tracks:</b> ${fmt.int(d.n)}${d.n < state.lineMinN ? " (below minimum)" : ""}</div>
+    `;
+  }
+
+  // Box plots or violins, one per year and series, dodged within the year
+  function renderDistributions(series) {
+    const [y0, y1] = x.domain();
+    const slot = Math.max(2, (x(y0 + 1) - x(y0)) * 0.8);
+    const w = slot / series.length;
+    const sparse = d => d.n < state.lineMinN;
+    const violin = state.lineView === "violin";
+
+    const perSeries = distG.selectAll("g.dist-series")
+      .data(series, s => s.key)
+      .join(enter => enter.append("g").attr("class", "dist-series"))
+      .attr("transform", (_, i) => `translate(${-slot / 2 + w * i + w / 2},0)`);
+
+    perSeries.each(function (s) {
+      const shown = state.lineSparse === "hide" ? s.values.filter(d => !sparse(d)) : s.values;
+      const binH = (s.domain[1] - s.domain[0]) / (shown[0] ? shown[0].hist.length : 1);
+      const sy = v => y(s.tf(v));
+
+      const cells = d3.select(this).selectAll("g.cell")
+        .data(shown, d => d.year)
+        .join(
+          enter => {
+            const cell = enter.append("g").attr("class", "cell");
+            cell.append("path").attr("class", "violin");
+            cell.append("line").attr("class", "whisker");
+            cell.append("rect").attr("class", "box");
+            cell.append("line").attr("class", "median");
+            cell
+              .on("mousemove", (event, d) => showTooltip(yearTooltip(s, d), event.clientX, event.clientY))
+              .on("mouseleave", hideTooltip);
+            return cell;
+          },
+          update => update,
+          exit => exit.remove()
+        )
+        .attr("transform", d => `translate(${x(d.year)},0)`)
+        .style("opacity", d => sparse(d) ? 0.35 : 1);
+
+      cells.select("path.violin")
+        .style("display", violin ? null : "none")
+        .attr("fill", s.color)
+        .attr("fill-opacity", 0.55)
+        .attr("d", d => {
+          const peak = d3.max(d.hist) || 1;
+          const area = d3.area()
+            .curve(d3.curveBasis)
+            .y((_, k) => sy(s.domain[0] + (k + 0.5) * binH))
+            .x0(c => -(c / peak) * w / 2)
+            .x1(c => (c / peak) * w / 2);
+          return area(d.hist);
+        });
+
+      cells.select("line.whisker")
+        .attr("stroke", s.color)
+        .attr("y1", d => sy(d.whiskerLo))
+        .attr("y2", d => sy(d.whiskerHi));
+
+      cells.select("rect.box")
+        .attr("fill", violin ? "rgba(0,0,0,0.55)" : s.color)
+        .attr("fill-opacity", violin ? 1 : 0.45)
+        .attr("stroke", s.color)
+        .attr("x", -(violin ? Math.min(3, w / 4) : w * 0.4))
+        .attr("width", violin ? Math.min(6, w / 2) : w * 0.8)
+        .attr("y", d => sy(d.q3))
+        .attr("height", d => Math.max(1, sy(d.q1) - sy(d.q3)));
+
+      cells.select("line.median")
+        .attr("stroke", "rgba(255,255,255,0.92)")
+        .attr("stroke-width", 1.5)
+        .attr("x1", -w * 0.4)
+        .attr("x2", w * 0.4)
+        .attr("y1", d => sy(d.median))
+        .attr("y2", d => sy(d.median));
+    });
+  }
 
-    const { g, innerW, innerH } = makeSVG(container, { width, height, margin });
+  // series: seriesSpec() entries with their yearly summaries (`values`), the
+  // field's histogram `domain`, and its subset `center` / `scale` for z-scores
+  api.render = (rawSeries, metaText = "") => {
+    const { innerW, innerH } = sizeSVG(svg, container, { minW: 520, minH: 300, margin });
+    const t = svg.transition().duration(TRANSITION_MS);
     els.lineMeta.textContent = metaText;
 
-    const series = yearlyAvg(data);
-    const x = d3.scaleLinear()
-      .domain(d3.extent(series, d => d.year) || [2000, 2020])
+    const lines = state.lineView === "line";
+    const stat = state.lineStat === "median" ? d => d.median : d => d.avg;
+    const band = lines ? BANDS[state.lineBand] : null;
+    const shown = d => state.lineSparse !== "hide" || d.n >= state.lineMinN;
+
+    // Several metrics share one axis as z-scores over the subset
+    const zScored = state.lineMetrics.length > 1;
+    const series = rawSeries.map(s => ({
+      ...s,
+      tf: zScored ? v => (v - s.center) / s.scale : v => v
+    }));
+
+    const all = series.flatMap(s => s.values.filter(shown));
+    const years = d3.extent(all, d => d.year);
+    x.domain(years[0] === undefined ? [2000, 2020] : years)
       .nice()
       .range([0, innerW]);
 
-    const y = d3.scaleLinear()
-      .domain([0, d3.max(series, d => d.avg) || 1])
+    // Range of everything drawn, in axis units
+    const reach = series.flatMap(s => s.values.filter(shown).flatMap(d => (lines
+      ? [stat(d), ...(band ? [band.lo(d), band.hi(d)] : [])]
+      : [d.whiskerLo, d.whiskerHi]
+    ).filter(Number.isFinite).map(s.tf)));
+    const [lo = 0, hi = 1] = d3.extent(reach);
+    y.domain(zScored ? [lo, hi] : [Math.min(0, lo), Math.max(0, hi) || 1])
       .nice()
       .range([innerH, 0]);
 
-    addGridlines(g, x, y, innerH, innerW);
+    updateGridlines(grid, x, y, innerH, innerW, t);
 
-    g.append("g")
-      .attr("class", "axis")
+    xAxisG
       .attr("transform", `translate(0,${innerH})`)
+      .transition(t)
       .call(d3.axisBottom(x).ticks(8).tickFormat(d3.format("d")));
 
-    g.append("g")
-      .attr("class", "axis")
-      .call(d3.axisLeft(y).ticks(6));
+    yAxisG.transition(t).call(d3.axisLeft(y).ticks(6));
 
-    g.append("text")
-      .attr("x", innerW / 2)
-      .attr("y", innerH + 34)
-      .attr("text-anchor", "middle")
-      .attr("fill", "rgba(255,255,255,0.75)")
-      .text("Release year");
-
-    g.append("text")
-      .attr("transform", "rotate(-90)")
-      .attr("x", -innerH / 2)
-      .attr("y", -38)
-      .attr("text-anchor", "middle")
-      .attr("fill", "rgba(255,255,255,0.75)")
-      .text("Avg popularity");
-
-    const line = d3.line()
+    els.lineTitle.textContent =
+      `${state.lineMetrics.map(k => NUMERIC_FIELDS[k].label).join(", ")} over time (per selected genre)`;
+
+    const statText = lines ? (state.lineStat === "median" ? "Median " : "Avg ") : "";
+    const yText = zScored
+      ? `${statText}z-score (per metric, over the subset)`
+      : `${statText}${fieldLabel(state.lineMetrics[0])}`;
+    updateAxisLabels(labels, innerW, innerH, "Release year", yText);
+
+    // Only one of the two layers is visible; the other is emptied
+    if (lines) distG.selectAll("g.dist-series").remove();
+    else renderDistributions(series);
+
+    const lineOf = s => d3.line()
+      .defined(shown)
       .x(d => x(d.year))
-      .y(d => y(d.avg))
-      .curve(d3.curveMonotoneX);
+      .y(d => y(s.tf(stat(d))))
+      .curve(d3.curveMonotoneX)(s.values);
 
-    g.append("path")
-      .datum(series)
-      .attr("fill", "none")
-      .attr("stroke", "rgba(255,255,255,0.78)")
-      .attr("stroke-width", 2)
-      .attr("d", line);
-
-    // Optional points for tooltip
-    g.append("g")
-      .selectAll("circle")
-      .data(series)
-      .join("circle")
-      .attr("cx", d => x(d.year))
-      .attr("cy", d => y(d.avg))
-      .attr("r", 3)
-      .attr("fill", "rgba(255,255,255,0.55)")
-      .attr("stroke", "rgba(0,0,0,0.3)")
-      .attr("stroke-width", 0.6)
-      .on("mousemove", (event, d) => {
-        const html = `
-          <div class="t-title">Year ${d.year}</div>
-          <div class="t-row"><b>Avg popularity:</b> ${d3.format(".2f")(d.avg)}</div>
-          <div class="t-row"><b>Tracks:</b> ${fmt.int(d.n)}</div>
-        `;
-        showTooltip(html, event.clientX, event.clientY);
+    const bandOf = s => d3.area()
+      .defined(d => shown(d) && Number.isFinite(band.lo(d)))
+      .x(d => x(d.year))
+      .y0(d => y(s.tf(band.lo(d))))
+      .y1(d => y(s.tf(band.hi(d))))
+      .curve(d3.curveMonotoneX)(s.values);
+
+    const seriesSel = seriesG.selectAll("g.series")
+      .data(lines ? series : [], s => s.key)
+      .join(
+        enter => {
+          const sg = enter.append("g").attr("class", "series");
+          sg.append("path")
+            .attr("class", "band")
+            .attr("stroke", "none");
+          sg.append("path")
+            .attr("class", "line")
+            .attr("fill", "none")
+            .attr("stroke-width", 2)
+            .attr("d", lineOf)
+            .style("opacity", 0);
+          sg.append("g").attr("class", "points");
+          return sg;
+        },
+        update => update,
+        exit => exit.transition(t).style("opacity", 0).remove()
+      );
+
+    seriesSel.select("path.band")
+      .attr("fill", s => s.color)
+      .attr("fill-opacity", 0.16)
+      .attr("d", s => band ? bandOf(s) : null);
+
+    // The line morphs between subsets
+    seriesSel.select("path.line")
+      .attr("stroke", s => s.color)
+      .attr("stroke-dasharray", s => s.dash)
+      .transition(t)
+      .style("opacity", 1)
+      .attr("d", lineOf);
+
+    // Points carry the tooltip; sparse years are hollow (or hidden)
+    seriesSel.select("g.points").each(function (s) {
+      const fill = s.genres || zScored ? s.color : "rgba(255,255,255,0.55)";
+      const hollow = cssVar("--card");
+      d3.select(this).selectAll("circle")
+        .data(s.values.filter(shown), d => d.year)
+        .join(
+          enter => enter.append("circle")
+            .attr("cx", d => x(d.year))
+            .attr("cy", d => y(s.tf(stat(d))))
+            .attr("r", 0)
+            .attr("stroke-width", 0.6)
+            .on("mousemove", (event, d) => showTooltip(yearTooltip(s, d), event.clientX, event.clientY))
+            .on("mouseleave", hideTooltip),
+          update => update,
+          exit => exit.transition(t).attr("r", 0).remove()
+        )
+        .attr("fill", d => d.n < state.lineMinN ? hollow : fill)
+        .attr("stroke", d => d.n < state.lineMinN ? fill : "rgba(0,0,0,0.3)")
+        .transition(t)
+        .attr("cx", d => x(d.year))
+        .attr("cy", d => y(s.tf(stat(d))))
+        .attr("r", 3);
+    });
+
+    // Legend only when genres or metrics are compared
+    legendG
+      .attr("transform", `translate(${innerW - 150},4)`)
+      .selectAll("g.item")
+      .data(series.length > 1 || series[0].genres ? series : [], s => s.key)
+      .join(enter => {
+        const item = enter.append("g").attr("class", "item");
+        item.append("line").attr("x1", 0).attr("x2", 14).attr("y1", 5).attr("y2", 5).attr("stroke-width", 3);
+        item.append("text")
+          .attr("x", 20)
+          .attr("y", 9)
+          .attr("fill", "rgba(255,255,255,0.75)")
+          .style("font-size", "11px");
+        return item;
       })
-      .on("mouseleave", hideTooltip);
+      .attr("transform", (_, i) => `translate(0,${i * 16})`)
+      .call(item => item.select("line").attr("stroke", s => s.color).attr("stroke-dasharray", s => s.dash))
+      .call(item => item.select("text").text(s => s.label));
+  };
+
+  // Describes the active band and sparse-year handling for the card meta line
+  api.describe = () => {
+    const parts = [];
+    if (state.lineMetrics.length > 1) parts.push("metrics z-scored");
+    if (state.lineView === "line" && BANDS[state.lineBand]) parts.push(`band: ${BANDS[state.lineBand].label}`);
+    parts.push(`years < ${state.lineMinN} tracks ${state.lineSparse === "hide" ? "hidden" : "marked"}`);
+    return parts.join(" | ");
   };
 
   return api;
@@ -577,113 +1778,2518 @@ function HeatmapView(containerId) {
   const margin = { top: 70, right: 10, bottom: 10, left: 80 };
   const api = {};
 
-  api.render = (data, metaText = "") => {
-    const rect = container.getBoundingClientRect();
-    const width = Math.max(320, Math.floor(rect.width) - 20);
-    const height = Math.max(320, Math.floor(rect.height) - 20);
+  const features = FEATURES_FOR_HEATMAP;
+
+  const { svg, g } = makeSVG(container, margin);
+
+  // labels
+  const colLabels = g.append("g")
+    .selectAll("text")
+    .data(features)
+    .join("text")
+    .attr("text-anchor", "start")
+    .attr("fill", "rgba(255,255,255,0.75)")
+    .style("font-size", "10px")
+    .text(d => d);
+
+  const rowLabels = g.append("g")
+    .selectAll("text")
+    .data(features)
+    .join("text")
+    .attr("x", -10)
+    .attr("text-anchor", "end")
+    .attr("fill", "rgba(255,255,255,0.75)")
+    .style("font-size", "10px")
+    .text(d => d);
+
+  const cellG = g.append("g");
+
+  const x = d3.scaleBand().domain(features).padding(0.05);
+  const y = d3.scaleBand().domain(features).padding(0.05);
+
+  const color = d3.scaleDiverging()
+    .domain([-1, 0, 1])
+    .interpolator(d3.interpolateRdBu);
+  const fill = d => Number.isFinite(d.r) ? color(d.r) : "rgba(255,255,255,0.08)";
+  const significant = d => d.p < state.alpha;
+  const fmtP = p => !Number.isFinite(p) ? "NA" : p < 1e-4 ? "< 0.0001" : d3.format(".4f")(p);
+
+  function cellTooltip(d) {
+    const method = SpotifyStats.CORR_METHODS[state.corrMethod];
+    const level = 1 - state.alpha;
+    const [lo, hi] = SpotifyStats.corrCI(state.corrMethod, d.r, d.n, level);
+    const r = Number.isFinite(d.r) ? d3.format(".3f")(d.r) : "NA";
+    const ci = Number.isFinite(lo) ? `[${d3.format(".3f")(lo)}, ${d3.format(".3f")(hi)}]` : "NA";
+    return `
+      <div class="t-title">${method.label}</div>
+      <div class="t-row"><b>${escapeHtml(d.a)}</b> vs <b>${escapeHtml(d.b)}</b></div>
+      <div class="t-row"><b>${method.symbol}:</b> ${r} | <b>n:</b> ${fmt.int(d.n || 0)}</div>
+      <div class="t-row"><b>p:</b> ${fmtP(d.p)} | <b>${d3.format(".1~%")(level)} CI:</b> ${ci}</div>
+      ${significant(d) ? "" : `<div class="t-row">Not significant at α = ${state.alpha}</div>`}
+    `;
+  }
 
-    const { g, innerW, innerH } = makeSVG(container, { width, height, margin });
+  // matrix: [{ a, b, r, n, p }] for every feature pair, from the analytics worker
+  api.render = (matrix, metaText = "") => {
+    const { innerW, innerH } = sizeSVG(svg, container, { minW: 320, minH: 320, margin });
+    const t = svg.transition().duration(TRANSITION_MS);
     els.heatMeta.textContent = metaText;
 
-    const features = FEATURES_FOR_HEATMAP;
+    x.range([0, innerW]);
+    y.range([0, innerH]);
 
-    const matrix = correlationMatrix(data, features);
-
-    const x = d3.scaleBand().domain(features).range([0, innerW]).padding(0.05);
-    const y = d3.scaleBand().domain(features).range([0, innerH]).padding(0.05);
-
-    const color = d3.scaleDiverging()
-      .domain([-1, 0, 1])
-      .interpolator(d3.interpolateRdBu);
-
-    // labels
-    g.append("g")
-      .selectAll("text")
-      .data(features)
-      .join("text")
-      .attr("x", d => x(d) + x.bandwidth() / 2)
-      .attr("y", -10)
-      .attr("text-anchor", "start")
-      .attr("transform", d => `translate(${x(d) + x.bandwidth() / 2}, -10) rotate(-45)`)
-      .attr("fill", "rgba(255,255,255,0.75)")
-      .style("font-size", "10px")
-      .text(d => d);
+    colLabels
+      .attr("transform", d => `translate(${x(d) + x.bandwidth() / 2}, -10) rotate(-45)`);
+    rowLabels
+      .attr("y", d => y(d) + y.bandwidth() / 2 + 4);
 
-    g.append("g")
-      .selectAll("text")
-      .data(features)
-      .join("text")
-      .attr("x", -10)
-      .attr("y", d => y(d) + y.bandwidth() / 2 + 4)
-      .attr("text-anchor", "end")
-      .attr("fill", "rgba(255,255,255,0.75)")
-      .style("font-size", "10px")
-      .text(d => d);
-
-    g.append("g")
-      .selectAll("rect")
+    // Cells fade to their new colours
+    cellG.selectAll("rect")
       .data(matrix, d => `${d.a}|${d.b}`)
-      .join("rect")
+      .join(
+        enter => enter.append("rect")
+          .attr("rx", 4)
+          .attr("fill", fill)
+          .attr("stroke", "rgba(255,255,255,0.12)")
+          .on("mousemove", (event, d) => showTooltip(cellTooltip(d), event.clientX, event.clientY))
+          .on("mouseleave", hideTooltip)
+          .on("click", (event, d) => {
+            if (d.a !== d.b) openPair(d.a, d.b);
+          })
+      )
       .attr("x", d => x(d.b))
       .attr("y", d => y(d.a))
       .attr("width", x.bandwidth())
       .attr("height", y.bandwidth())
-      .attr("rx", 4)
-      .attr("fill", d => Number.isFinite(d.r) ? color(d.r) : "rgba(255,255,255,0.08)")
-      .attr("stroke", "rgba(255,255,255,0.12)")
-      .on("mousemove", (event, d) => {
-        const r = Number.isFinite(d.r) ? d3.format(".3f")(d.r) : "NA";
-        const html = `
-          <div class="t-title">Correlation</div>
-          <div class="t-row"><b>${escapeHtml(d.a)}</b> vs <b>${escapeHtml(d.b)}</b></div>
-          <div class="t-row"><b>r:</b> ${r}</div>
-        `;
-        showTooltip(html, event.clientX, event.clientY);
-      })
-      .on("mouseleave", hideTooltip);
+      .attr("stroke-dasharray", d => significant(d) ? null : "2,2")
+      .style("cursor", d => d.a === d.b ? null : "pointer")
+      .transition(t)
+      .attr("fill", fill)
+      .attr("fill-opacity", d => significant(d) ? 1 : 0.22);
   };
 
   return api;
 }
 
-/* ---------- Utility ---------- */
+/* ---------- Popularity model (standardized coefficients, residuals) ---------- */
 
-function escapeHtml(str) {
-  return String(str ?? "").replace(/[&<>"']/g, m => ({
-    "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#039;"
-  }[m]));
-}
+function ModelView(containerId) {
+  const container = document.getElementById(containerId);
+  const margin = { top: 14, right: 16, bottom: 40, left: 110 };
+  const gap = 90; // between the coefficient and residual panels
+  const api = {};
 
-/* ---------- Wiring ---------- */
+  const { svg, g } = makeSVG(container, margin);
+
+  // Left: one bar per feature, diverging from 0
+  const coefG = g.append("g");
+  const coefAxisG = coefG.append("g").attr("class", "axis");
+  const coefLabelG = coefG.append("g").attr("class", "axis");
+  const zeroLine = coefG.append("line").attr("stroke", "rgba(255,255,255,0.35)");
+  const barsG = coefG.append("g");
+  const coefTitle = coefG.append("text")
+    .attr("text-anchor", "middle")
+    .attr("fill", "rgba(255,255,255,0.75)")
+    .text("Standardized coefficient (β)");
+
+  // Right: held-out residuals against fitted popularity
+  const residG = g.append("g");
+  const grid = addGridlines(residG);
+  const resXAxisG = residG.append("g").attr("class", "axis");
+  const resYAxisG = residG.append("g").attr("class", "axis");
+  const labels = addAxisLabels(residG);
+  const residZero = residG.append("line")
+    .attr("stroke", "rgba(255,255,255,0.45)")
+    .attr("stroke-dasharray", "4,3");
+  const pointsG = residG.append("g");
+
+  const bx = d3.scaleLinear();
+  const by = d3.scaleBand().padding(0.18);
+  const rx = d3.scaleLinear();
+  const ry = d3.scaleLinear();
+  const sign = d => d.beta >= 0 ? "#1db954" : "#ef476f";
+  const coefFmt = d3.format(".3~g");
+
+  function coefTooltip(d) {
+    const f = NUMERIC_FIELDS[d.feature];
+    return `
+      <div class="t-title">${f.label}</div>
+      <div class="t-row"><b>β:</b> ${d3.format("+.3f")(d.beta)} (popularity SDs per SD of ${escapeHtml(f.label.toLowerCase())})</div>
+      <div class="t-row"><b>Per unit:</b> ${coefFmt(d.coef)} popularity per ${f.unit || "unit"}</div>
+    `;
+  }
+
+  function residualTooltip(d) {
+    const track = state.data[d.row];
+    return `
+      <div class="t-title">${escapeHtml(track.name)}</div>
+      <div class="t-row"><b>Artist:</b> ${escapeHtml(track.artist)}</div>
+      <div class="t-row"><b>Popularity:</b> ${track.popularity} | <b>Predicted:</b> ${fmt.num2(d.fitted)}</div>
+      <div class="t-row"><b>Residual:</b> ${d3.format("+.2f")(d.residual)}</div>
+    `;
+  }
+
+  // model: SpotifyStats.regressionModel() result from the analytics worker
+  api.render = (model, metaText = "") => {
+    const { innerW, innerH } = sizeSVG(svg, container, { minW: 640, minH: 320, margin });
+    const t = svg.transition().duration(TRANSITION_MS);
+    els.modelMeta.textContent = metaText;
+
+    const coefW = Math.max(160, Math.floor((innerW - gap) * 0.45));
+    const resW = innerW - coefW - gap;
+    residG.attr("transform", `translate(${coefW + gap},0)`);
+
+    const coefs = model.ok
+      ? model.coefficients.slice().sort((a, b) => Math.abs(b.beta) - Math.abs(a.beta))
+      : [];
+    const maxAbs = d3.max(coefs, d => Math.abs(d.beta)) || 1;
+
+    bx.domain([-maxAbs, maxAbs]).nice().range([0, coefW]);
+    by.domain(coefs.map(d => d.feature)).range([0, innerH]);
+
+    coefAxisG
+      .attr("transform", `translate(0,${innerH})`)
+      .transition(t)
+      .call(d3.axisBottom(bx).ticks(5));
+    coefLabelG
+      .transition(t)
+      .call(d3.axisLeft(by).tickSize(0).tickPadding(8).tickFormat(f => NUMERIC_FIELDS[f].label));
+    coefLabelG.select(".domain").remove();
+    coefTitle.attr("x", coefW / 2).attr("y", innerH + 34);
+    zeroLine.attr("x1", bx(0)).attr("x2", bx(0)).attr("y1", 0).attr("y2", innerH);
+
+    barsG.selectAll("rect")
+      .data(coefs, d => d.feature)
+      .join(
+        enter => enter.append("rect")
+          .attr("x", bx(0))
+          .attr("y", d => by(d.feature))
+          .attr("width", 0)
+          .attr("height", by.bandwidth())
+          .attr("rx", 3)
+          .on("mousemove", (event, d) => showTooltip(coefTooltip(d), event.clientX, event.clientY))
+          .on("mouseleave", hideTooltip),
+        update => update,
+        exit => exit.transition(t).attr("width", 0).remove()
+      )
+      .attr("fill", sign)
+      .transition(t)
+      .attr("x", d => bx(Math.min(0, d.beta)))
+      .attr("y", d => by(d.feature))
+      .attr("width", d => Math.abs(bx(d.beta) - bx(0)))
+      .attr("height", by.bandwidth());
+
+    const res = model.ok ? model.residuals : [];
+    const maxRes = d3.max(res, d => Math.abs(d.residual)) || 1;
+    rx.domain(res.length ? d3.extent(res, d => d.fitted) : [0, 100]).nice().range([0, resW]);
+    ry.domain([-maxRes, maxRes]).nice().range([innerH, 0]);
+
+    updateGridlines(grid, rx, ry, innerH, resW, t);
+    resXAxisG
+      .attr("transform", `translate(0,${innerH})`)
+      .transition(t)
+      .call(d3.axisBottom(rx).ticks(6));
+    resYAxisG.transition(t).call(d3.axisLeft(ry).ticks(6));
+    updateAxisLabels(labels, resW, innerH, "Predicted popularity (held-out tracks)", "Residual (actual − predicted)");
+    residZero.attr("x1", 0).attr("x2", resW).attr("y1", ry(0)).attr("y2", ry(0));
+
+    pointsG.selectAll("circle")
+      .data(res, d => d.row)
+      .join(enter => enter.append("circle")
+        .attr("r", 2)
+        .attr("fill-opacity", 0.5)
+        .on("mousemove", (event, d) => showTooltip(residualTooltip(d), event.clientX, event.clientY))
+        .on("mouseleave", hideTooltip))
+      .attr("fill", d => genreColor(state.data[d.row].genre))
+      .attr("cx", d => rx(d.fitted))
+      .attr("cy", d => ry(d.residual));
+  };
+
+  return api;
+}
+
+/* ---------- Cohort comparison (hits vs the rest, or selection vs the rest) ---------- */
+
+const COMPARE_FEATURES = MODEL_FEATURES;
+const COHORT_COLORS = { a: "#1db954", b: "#8ab4f8" };
+
+// The two cohorts compared: popularity at or above the cutoff against the rest
+// of the filtered tracks, or the selection against the rest of the subset
+function cohortRows() {
+  if (state.cohortBy === "selection") {
+    const active = selectionActive();
+    return {
+      a: active ? state.filtered : [],
+      b: active ? state.subset.filter(d => !isSelected(d)) : state.subset,
+      labelA: "Selection",
+      labelB: "Rest of subset"
+    };
+  }
+  const cut = state.hitCutoff;
+  return {
+    a: state.filtered.filter(d => d.popularity >= cut),
+    b: state.filtered.filter(d => !(d.popularity >= cut)),
+    labelA: `Hits (popularity ≥ ${cut})`,
+    labelB: "Rest"
+  };
+}
+
+function CompareView(containerId) {
+  const container = document.getElementById(containerId);
+  const margin = { top: 26, right: 16, bottom: 6, left: 120 };
+  const statsW = 300; // Δ mean, Cohen's d bar and p beside the distributions
+  const api = {};
+
+  const { svg, g } = makeSVG(container, margin);
+  const headG = g.append("g").attr("class", "axis");
+  const rowsG = g.append("g");
+  const legendG = svg.append("g").attr("class", "legend");
+  const emptyText = g.append("text")
+    .attr("text-anchor", "middle")
+    .attr("fill", "rgba(255,255,255,0.6)");
+
+  const dx = d3.scaleLinear().domain([-1.2, 1.2]).clamp(true);
+  const pFmt = p => !Number.isFinite(p) ? "NA" : p < 0.001 ? "<0.001" : d3.format(".3f")(p);
+  const dFmt = d => Number.isFinite(d) ? d3.format("+.2f")(d) : "NA";
+  const size = d => {
+    const v = Math.abs(d);
+    return !Number.isFinite(v) ? "NA" : v < 0.2 ? "negligible" : v < 0.5 ? "small" : v < 0.8 ? "medium" : "large";
+  };
+
+  function tooltip(r, labels) {
+    const f = NUMERIC_FIELDS[r.feature];
+    const side = (s, label) => s
+      ? `<div class="t-row"><b>${escapeHtml(label)}:</b> n ${fmt.int(s.n)} | mean ${f.format(s.avg)} ± ${f.format(s.sd)} | median ${f.format(s.median)} [${f.format(s.q1)}–${f.format(s.q3)}]</div>`
+      : `<div class="t-row"><b>${escapeHtml(label)}:</b> no tracks</div>`;
+    return `
+      <div class="t-title">${f.label}</div>
+      ${side(r.a, labels.a)}
+      ${side(r.b, labels.b)}
+      <div class="t-row"><b>Δ mean:</b> ${Number.isFinite(r.diff) ? (r.diff >= 0 ? "+" : "−") + f.format(Math.abs(r.diff)) : "NA"}</div>
+      <div class="t-row"><b>Cohen's d:</b> ${dFmt(r.d)} (${size(r.d)}) | <b>Welch p:</b> ${pFmt(r.p)}</div>
+    `;
+  }
+
+  // rows: SpotifyStats.compareCohorts() result, ranked by |d|; labels: { a, b }
+  api.render = (rows, labels, metaText = "") => {
+    const { innerW, innerH } = sizeSVG(svg, container, { minW: 640, minH: 320, margin });
+    const t = svg.transition().duration(TRANSITION_MS);
+    els.compareMeta.textContent = metaText;
+
+    const ready = rows.filter(r => r.a && r.b);
+    const histW = Math.max(120, innerW - statsW - 16);
+    const deltaX = histW + 16;
+    const dLeft = deltaX + 70;
+    const pX = innerW;
+    const dValX = pX - 56;
+    dx.range([dLeft, dValX - 44]);
+    const rowH = innerH / Math.max(1, COMPARE_FEATURES.length);
+    const half = Math.max(4, rowH / 2 - 3);
+
+    headG.selectAll("text")
+      .data([
+        [0, "start", "Distribution (▲ first cohort, ▼ second)"],
+        [deltaX, "start", "Δ mean"],
+        [dx(0), "middle", "Cohen's d"],
+        [pX, "end", "Welch p"]
+      ])
+      .join("text")
+      .attr("x", d => d[0])
+      .attr("y", -10)
+      .attr("text-anchor", d => d[1])
+      .text(d => d[2]);
+
+    legendG.attr("transform", `translate(${margin.left + histW},${margin.top - 14})`);
+    legendG.selectAll("g.item")
+      .data(ready.length ? [["a", labels.a], ["b", labels.b]] : [])
+      .join(enter => {
+        const item = enter.append("g").attr("class", "item");
+        item.append("rect").attr("width", 10).attr("height", 10).attr("y", -9).attr("rx", 2);
+        item.append("text").attr("text-anchor", "end").attr("x", -4).style("font-size", "11px").attr("fill", "rgba(255,255,255,0.75)");
+        return item;
+      })
+      .attr("transform", (_, i) => `translate(${-i * 150},0)`)
+      .call(item => item.select("rect").attr("x", 0).attr("fill", d => COHORT_COLORS[d[0]]))
+      .call(item => item.select("text").text(d => d[1]));
+
+    emptyText
+      .attr("x", innerW / 2)
+      .attr("y", innerH / 2)
+      .text(ready.length ? "" : state.cohortBy === "selection"
+        ? "Select tracks (scatter, projection, table or profile axes) to compare them with the rest"
+        : "One cohort is empty: adjust the cutoff or filters");
+
+    const row = rowsG.selectAll("g.compare-row")
+      .data(ready, r => r.feature)
+      .join(
+        enter => {
+          const r = enter.append("g")
+            .attr("class", "compare-row")
+            .attr("transform", (_, i) => `translate(0,${i * rowH})`)
+            .attr("opacity", 0);
+          r.append("rect").attr("class", "hit").attr("fill", "transparent");
+          r.append("text").attr("class", "label")
+            .attr("x", -10)
+            .attr("text-anchor", "end")
+            .attr("dy", "0.35em")
+            .attr("fill", "rgba(255,255,255,0.85)")
+            .style("font-size", "11px")
+            .text(d => NUMERIC_FIELDS[d.feature].label);
+          r.append("line").attr("class", "mid").attr("stroke", "rgba(255,255,255,0.22)");
+          r.append("g").attr("class", "bins-a").attr("fill", COHORT_COLORS.a);
+          r.append("g").attr("class", "bins-b").attr("fill", COHORT_COLORS.b);
+          r.append("line").attr("class", "mean-a").attr("stroke", "#fff").attr("stroke-width", 1.5);
+          r.append("line").attr("class", "mean-b").attr("stroke", "#fff").attr("stroke-width", 1.5);
+          r.append("text").attr("class", "delta")
+            .attr("x", deltaX)
+            .attr("dy", "0.35em")
+            .attr("fill", "rgba(255,255,255,0.85)")
+            .style("font-family", "var(--mono)")
+            .style("font-size", "11px");
+          r.append("line").attr("class", "zero").attr("stroke", "rgba(255,255,255,0.35)");
+          r.append("rect").attr("class", "dbar").attr("rx", 2);
+          r.append("text").attr("class", "dval")
+            .attr("text-anchor", "end")
+            .attr("dy", "0.35em")
+            .attr("fill", "rgba(255,255,255,0.85)")
+            .style("font-family", "var(--mono)")
+            .style("font-size", "11px");
+          r.append("text").attr("class", "pval")
+            .attr("text-anchor", "end")
+            .attr("dy", "0.35em")
+            .attr("fill", "rgba(255,255,255,0.6)")
+            .style("font-family", "var(--mono)")
+            .style("font-size", "11px");
+          return r;
+        },
+        update => update,
+        exit => exit.transition(t).attr("opacity", 0).remove()
+      )
+      .on("mousemove", (event, r) => showTooltip(tooltip(r, labels), event.clientX, event.clientY))
+      .on("mouseleave", hideTooltip);
+
+    row.transition(t)
+      .attr("opacity", 1)
+      .attr("transform", (_, i) => `translate(0,${i * rowH + rowH / 2})`);
+
+    row.select("rect.hit").attr("x", -margin.left).attr("y", -rowH / 2).attr("width", innerW + margin.left).attr("height", rowH);
+    row.select("line.mid").attr("x1", 0).attr("x2", histW).attr("y1", 0).attr("y2", 0);
+
+    // Histograms as shares of each cohort, mirrored about the row's midline
+    row.each(function(r) {
+      const sel = d3.select(this);
+      const bins = r.a.hist.length;
+      const bx = d3.scaleLinear().domain([0, bins]).range([0, histW]);
+      const share = (s, i) => s.hist[i] / s.n;
+      const peak = d3.max(d3.range(bins), i => Math.max(share(r.a, i), share(r.b, i))) || 1;
+      const h = d3.scaleLinear().domain([0, peak]).range([0, half]);
+      const w = Math.max(1, histW / bins - 1);
+      sel.select("g.bins-a").selectAll("rect")
+        .data(d3.range(bins))
+        .join("rect")
+        .attr("x", i => bx(i))
+        .attr("width", w)
+        .transition(t)
+        .attr("y", i => -h(share(r.a, i)))
+        .attr("height", i => h(share(r.a, i)));
+      sel.select("g.bins-b").selectAll("rect")
+        .data(d3.range(bins))
+        .join("rect")
+        .attr("x", i => bx(i))
+        .attr("width", w)
+        .attr("fill-opacity", 0.85)
+        .transition(t)
+        .attr("y", 0)
+        .attr("height", i => h(share(r.b, i)));
+
+      const vx = d3.scaleLinear().domain(r.domain).range([0, histW]).clamp(true);
+      sel.select("line.mean-a").transition(t)
+        .attr("x1", vx(r.a.avg)).attr("x2", vx(r.a.avg)).attr("y1", -half).attr("y2", 0);
+      sel.select("line.mean-b").transition(t)
+        .attr("x1", vx(r.b.avg)).attr("x2", vx(r.b.avg)).attr("y1", 0).attr("y2", half);
+
+      const f = NUMERIC_FIELDS[r.feature];
+      sel.select("text.delta").text(Number.isFinite(r.diff) ? (r.diff >= 0 ? "+" : "−") + f.format(Math.abs(r.diff)) : "NA");
+    });
+
+    const barH = Math.min(14, rowH * 0.5);
+    row.select("line.zero").attr("x1", dx(0)).attr("x2", dx(0)).attr("y1", -rowH / 2 + 2).attr("y2", rowH / 2 - 2);
+    row.select("rect.dbar")
+      .attr("y", -barH / 2)
+      .attr("height", barH)
+      .attr("fill", r => r.d >= 0 ? COHORT_COLORS.a : COHORT_COLORS.b)
+      .attr("fill-opacity", r => Math.abs(r.d) < 0.2 ? 0.4 : 0.9)
+      .transition(t)
+      .attr("x", r => Number.isFinite(r.d) ? dx(Math.min(0, r.d)) : dx(0))
+      .attr("width", r => Number.isFinite(r.d) ? Math.abs(dx(r.d) - dx(0)) : 0);
+    row.select("text.dval").attr("x", dValX).text(r => dFmt(r.d));
+    row.select("text.pval").attr("x", pX).text(r => pFmt(r.p));
+  };
+
+  return api;
+}
+
+/* ---------- Pair detail (heatmap drill-down) ---------- */
+
+// Hexagonal binning of pixel positions [[px, py, d], ...] into flat-topped rows;
+// returns bins { x, y, count } with centre coordinates. Same lattice as d3-hexbin.
+function hexbin(points, radius) {
+  const dx = radius * 2 * Math.sin(Math.PI / 3);
+  const dy = radius * 1.5;
+  const bins = new Map();
+
+  for (const [px, py] of points) {
+    let pj = Math.round(py / dy);
+    let pi = Math.round(px / dx - (pj & 1) / 2);
+    const py1 = py / dy - pj;
+
+    // Near a row boundary the nearest centre may be in the neighbouring row
+    if (Math.abs(py1) * 3 > 1) {
+      const px1 = px / dx - pi - (pj & 1) / 2;
+      const pi2 = pi + (px1 < 0 ? -1 : 1) / 2;
+      const pj2 = pj + (py1 < 0 ? -1 : 1);
+      const px2 = px / dx - pi2;
+      const py2 = py / dy - pj2;
+      if (px1 * px1 + py1 * py1 > px2 * px2 + py2 * py2) {
+        pi = pi2 + (pj & 1 ? 1 : -1) / 2;
+        pj = pj2;
+      }
+    }
+
+    const key = `${pi},${pj}`;
+    const bin = bins.get(key);
+    if (bin) bin.count++;
+    else bins.set(key, { x: (pi + (pj & 1) / 2) * dx, y: pj * dy, count: 1 });
+  }
+  return Array.from(bins.values());
+}
+
+function hexagonPath(radius) {
+  const corners = d3.range(6).map(i => {
+    const angle = i * Math.PI / 3;
+    return [Math.sin(angle) * radius, -Math.cos(angle) * radius];
+  });
+  return `M${corners.join("L")}Z`;
+}
+
+function PairView(containerId) {
+  const container = document.getElementById(containerId);
+  const margin = { top: 14, right: 16, bottom: 40, left: 64 };
+  const pointR = 2;
+  const hexRadius = 7;
+  const HEX_AUTO_MIN = 4000; // "auto" switches from points to hexbins above this many tracks
+  const api = {};
+
+  // Points go on a canvas like the main scatter; hexbins and fit lines are SVG
+  const root = d3.select(container).classed("viz-layered", true);
+  const canvas = root.append("canvas");
+  const ctx = canvas.node().getContext("2d");
+  const { svg, g } = makeSVG(container, margin);
+
+  const clipId = `${containerId}-clip`;
+  const clipRect = svg.append("defs").append("clipPath").attr("id", clipId).append("rect");
+
+  const grid = addGridlines(g);
+  const xAxisG = g.append("g").attr("class", "axis");
+  const yAxisG = g.append("g").attr("class", "axis");
+  const labels = addAxisLabels(g);
+  const hexG = g.append("g").attr("clip-path", `url(#${clipId})`);
+  const fitG = g.append("g").attr("clip-path", `url(#${clipId})`).attr("pointer-events", "none");
+  const olsPath = fitG.append("path")
+    .attr("fill", "none")
+    .attr("stroke", "#ffd166")
+    .attr("stroke-width", 2)
+    .attr("stroke-dasharray", "6,4");
+  const loessPath = fitG.append("path")
+    .attr("fill", "none")
+    .attr("stroke", "#ef476f")
+    .attr("stroke-width", 2.5);
+  const legendG = g.append("g").attr("class", "legend");
+
+  legendG.selectAll("g")
+    .data([
+      { label: "OLS", color: "#ffd166", dash: "6,4" },
+      { label: "LOESS", color: "#ef476f", dash: null }
+    ])
+    .join(enter => {
+      const item = enter.append("g").attr("transform", (d, i) => `translate(0,${i * 16})`);
+      item.append("line")
+        .attr("x1", 0).attr("x2", 18).attr("y1", 0).attr("y2", 0)
+        .attr("stroke", d => d.color)
+        .attr("stroke-width", 2)
+        .attr("stroke-dasharray", d => d.dash);
+      item.append("text")
+        .attr("x", 24)
+        .attr("y", 4)
+        .attr("fill", "rgba(255,255,255,0.75)")
+        .style("font-size", "11px")
+        .text(d => d.label);
+      return item;
+    });
+
+  const x = d3.scaleLinear();
+  const y = d3.scaleLinear();
+  const density = d3.scaleSequentialSqrt(d3.interpolateViridis);
+
+  const hexTooltip = (d, xKey, yKey) => `
+    <div class="t-title">${fmt.int(d.count)} track${d.count === 1 ? "" : "s"}</div>
+    <div class="t-row"><b>${NUMERIC_FIELDS[xKey].label}:</b> ≈ ${NUMERIC_FIELDS[xKey].format(x.invert(d.x))}</div>
+    <div class="t-row"><b>${NUMERIC_FIELDS[yKey].label}:</b> ≈ ${NUMERIC_FIELDS[yKey].format(y.invert(d.y))}</div>
+  `;
+
+  // Which marks to draw for `n` tracks under the current mode setting
+  api.useHexbin = (n) => state.pairMode === "hexbin" || (state.pairMode === "auto" && n > HEX_AUTO_MIN);
+
+  // data: tracks to plot; pair: { a, b } feature keys (a on x, b on y)
+  api.render = (data, { a: xKey, b: yKey }) => {
+    const { width, height, innerW, innerH } = sizeSVG(svg, container, { minW: 520, minH: 340, margin });
+    const dpr = window.devicePixelRatio || 1;
+    const t = svg.transition().duration(TRANSITION_MS);
+
+    canvas
+      .attr("width", Math.round(width * dpr))
+      .attr("height", Math.round(height * dpr))
+      .style("width", `${width}px`)
+      .style("height", `${height}px`);
+
+    const xs = Float64Array.from(data, d => d[xKey]);
+    const ys = Float64Array.from(data, d => d[yKey]);
+    const fit = SpotifyStats.linearFit(xs, ys);
+    const smooth = SpotifyStats.loess(xs, ys, { span: 0.3, points: 80 });
+    const hex = api.useHexbin(fit.n);
+
+    els.pairTitle.textContent = `Pair detail: ${NUMERIC_FIELDS[xKey].label} vs ${NUMERIC_FIELDS[yKey].label}`;
+    const coef = d3.format(".4~g");
+    els.pairMeta.textContent = Number.isFinite(fit.slope)
+      ? `n = ${fmt.int(fit.n)} | OLS: y = ${coef(fit.intercept)} ${fit.slope < 0 ? "−" : "+"} ${coef(Math.abs(fit.slope))}·x | R² = ${d3.format(".3f")(fit.r2)} | LOESS span 0.3 | ${hex ? "hexbin density" : "points"}`
+      : `n = ${fmt.int(fit.n)} | not enough data for a fit`;
+
+    x.domain(fieldExtent(xKey)).nice().range([0, innerW]);
+    y.domain(fieldExtent(yKey)).nice().range([innerH, 0]);
+    clipRect.attr("width", innerW).attr("height", innerH);
+
+    updateGridlines(grid, x, y, innerH, innerW, t);
+    xAxisG
+      .attr("transform", `translate(0,${innerH})`)
+      .transition(t)
+      .call(d3.axisBottom(x).ticks(6));
+    yAxisG.transition(t).call(d3.axisLeft(y).ticks(6));
+    updateAxisLabels(labels, innerW, innerH, fieldLabel(xKey), fieldLabel(yKey));
+    labels.yLabel.attr("y", -50);
+    legendG.attr("transform", `translate(${innerW - 70},8)`);
+
+    const plotted = [];
+    for (const d of data) {
+      const vx = d[xKey], vy = d[yKey];
+      if (Number.isFinite(vx) && Number.isFinite(vy)) plotted.push([x(vx), y(vy), d]);
+    }
+
+    ctx.setTransform(dpr, 0, 0, dpr, dpr * margin.left, dpr * margin.top);
+    ctx.clearRect(-margin.left, -margin.top, width, height);
+
+    if (hex) {
+      const bins = hexbin(plotted, hexRadius);
+      density.domain([0, d3.max(bins, d => d.count) || 1]);
+      hexG.selectAll("path")
+        .data(bins, d => `${d.x},${d.y}`)
+        .join(enter => enter.append("path")
+          .attr("stroke", "rgba(0,0,0,0.25)")
+          .on("mousemove", (event, d) => showTooltip(hexTooltip(d, xKey, yKey), event.clientX, event.clientY))
+          .on("mouseleave", hideTooltip))
+        .attr("d", hexagonPath(hexRadius))
+        .attr("transform", d => `translate(${d.x},${d.y})`)
+        .attr("fill", d => density(d.count));
+    } else {
+      hexG.selectAll("path").remove();
+      ctx.globalAlpha = 0.55;
+      for (const [genre, pts] of d3.group(plotted, p => p[2].genre)) {
+        ctx.fillStyle = genreColor(genre);
+        ctx.beginPath();
+        for (const [px, py] of pts) {
+          ctx.moveTo(px + pointR, py);
+          ctx.arc(px, py, pointR, 0, 2 * Math.PI);
+        }
+        ctx.fill();
+      }
+      ctx.globalAlpha = 1;
+    }
+
+    const [x0, x1] = x.domain();
+    const olsLine = Number.isFinite(fit.slope)
+      ? [[x0, fit.intercept + fit.slope * x0], [x1, fit.intercept + fit.slope * x1]]
+      : [];
+    const toPath = d3.line().x(p => x(p[0])).y(p => y(p[1]));
+    olsPath.attr("d", olsLine.length ? toPath(olsLine) : null);
+    loessPath.attr("d", smooth.length ? toPath(smooth.map(p => [p.x, p.y])) : null);
+  };
+
+  return api;
+}
+
+/* ---------- Similar tracks (k nearest neighbours on audio features) ---------- */
+
+// Audio-feature columns z-scored over all tracks, for the neighbour search; rebuilt by setData
+let similarityFields = {};
+
+// Neighbours of the state.similar track within the filtered subset
+function findSimilar() {
+  const hits = SpotifyStats.nearestNeighbors(similarityFields, state.similar, {
+    features: SIMILARITY_FEATURES,
+    weights: state.similarWeights,
+    k: state.similarK,
+    indices: toIndices(state.subset)
+  });
+  return {
+    target: state.data[state.similar],
+    neighbors: hits.map(h => ({ track: state.data[h.row], distance: h.distance }))
+  };
+}
+
+function SimilarView() {
+  const api = {};
+
+  // One slider per feature; 0 leaves the feature out of the distance
+  const weightRows = d3.select(els.similarWeights)
+    .selectAll("label")
+    .data(SIMILARITY_FEATURES)
+    .join(enter => {
+      const row = enter.append("label").attr("class", "weight-row");
+      row.append("span").text(f => NUMERIC_FIELDS[f].label);
+      row.append("input")
+        .attr("type", "range")
+        .attr("min", 0)
+        .attr("max", 3)
+        .attr("step", 0.25)
+        .on("input", function (event, f) {
+          state.similarWeights[f] = +this.value;
+          api.syncWeights();
+          dispatch();
+        });
+      row.append("span").attr("class", "weight-value");
+      return row;
+    });
+
+  api.syncWeights = () => {
+    weightRows.select("input").property("value", f => state.similarWeights[f]);
+    weightRows.select(".weight-value").text(f => `×${state.similarWeights[f]}`);
+  };
+
+  // result: findSimilar() output
+  api.render = ({ target, neighbors }) => {
+    els.similarTitle.textContent = `Tracks similar to ${target.name} — ${target.artist}`;
+    els.similarMeta.textContent =
+      `${neighbors.length} nearest in the current subset (${fmt.int(state.subset.length)} tracks) | ` +
+      `weighted distance on z-scored audio features`;
+
+    d3.select(els.similarList)
+      .selectAll("div.similar-row")
+      .data(neighbors, n => n.track.id)
+      .join(enter => {
+        const row = enter.append("div")
+          .attr("class", "similar-row")
+          .attr("title", "Click to find tracks similar to this one");
+        row.append("span").attr("class", "rank");
+        row.append("span").attr("class", "who");
+        row.append("span").attr("class", "genre");
+        row.append("span").attr("class", "num pop");
+        row.append("span").attr("class", "num dist");
+        row
+          .on("mouseenter", (event, n) => scatter.highlight(n.track))
+          .on("mouseleave", () => scatter.highlight(null))
+          .on("click", (event, n) => openSimilar(n.track));
+        return row;
+      })
+      .order()
+      .call(row => row.select(".rank").text((n, i) => i + 1))
+      .call(row => row.select(".who").text(n => `${n.track.name} — ${n.track.artist}`))
+      .call(row => row.select(".genre").text(n => n.track.genre))
+      .call(row => row.select(".pop").text(n => `pop ${n.track.popularity}`))
+      .call(row => row.select(".dist").text(n => `d ${fmt.num2(n.distance)}`));
+  };
+
+  return api;
+}
+
+function openSimilar(track) {
+  state.similar = track.idx;
+  els.similarCard.hidden = false;
+  els.similarCard.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  dispatch();
+}
+
+function closeSimilar() {
+  state.similar = null;
+  els.similarCard.hidden = true;
+  dispatch();
+}
+
+/* ---------- Projection (PCA biplot, t-SNE map) ---------- */
+
+// Features the projections are computed from, z-scored
+const PROJECTION_FEATURES = FEATURES_FOR_HEATMAP;
+const TSNE_ITERATIONS = 500;
+const TSNE_PERPLEXITY = 30;
+
+// t-SNE runs in projection-worker.js. progress(iteration, Y) fires while the
+// layout converges; the promise resolves with the final Y, or null when a newer
+// run or cancel() superseded it. Without worker support it runs on the page.
+function ProjectionClient(workerUrl) {
+  const api = {};
+  let worker = null;
+  let seq = 0;
+  const pending = new Map();
+
+  try {
+    worker = new Worker(workerUrl);
+  } catch (err) {
+    worker = null; // e.g. opened from file://
+  }
+
+  if (worker) {
+    worker.onmessage = ({ data: msg }) => {
+      const p = pending.get(msg.id);
+      if (!p) return;
+      if (msg.progress !== undefined) {
+        if (msg.id === seq) p.progress(msg.progress, msg.Y);
+        return;
+      }
+      pending.delete(msg.id);
+      if (msg.error) p.reject(new Error(msg.error));
+      else p.resolve(msg.id === seq && msg.result ? msg.result : null);
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      console.error(new Error(`Projection worker failed: ${event.message}`));
+      worker = null;
+      for (const [, p] of pending) p.resolve(null);
+      pending.clear();
+      resetProjection();
+      dispatch();
+    };
+  }
+
+  // X: n x d row-major Float64Array (transferred to the worker)
+  api.run = (X, n, d, options, progress) => {
+    const id = ++seq;
+    if (!worker) {
+      const onProgress = (iteration, Y) => { if (id === seq) progress(iteration, Y); };
+      return SpotifyStats.tsne(X, n, d, { ...options, onProgress }, () => id !== seq);
+    }
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, progress });
+      worker.postMessage({ type: "run", id, X, n, d, options }, [X.buffer]);
+    });
+  };
+
+  api.cancel = () => {
+    seq++;
+    if (worker) worker.postMessage({ type: "cancel" });
+  };
+
+  return api;
+}
+
+// Layouts cover the whole dataset (t-SNE a stable sample of it), so points keep
+// their place when filters change; the view plots the filtered tracks that have
+// coordinates. x / y are indexed by row (idx), NaN where a track isn't placed.
+const projection = { pca: null, tsne: null };
+
+function resetProjection() {
+  projection.pca = null;
+  if (projection.tsne) projector.cancel();
+  projection.tsne = null;
+}
+
+function projectionLayout() {
+  if (state.projMethod === "tsne") {
+    if (!projection.tsne || projection.tsne.size !== state.projSample) startTsne();
+    return projection.tsne;
+  }
+
+  // A t-SNE run nobody looks at any more only costs CPU
+  if (projection.tsne && !projection.tsne.done) {
+    projector.cancel();
+    projection.tsne = null;
+  }
+  if (!projection.pca) {
+    const fields = Object.fromEntries(PROJECTION_FEATURES.map(f => [f, Float64Array.from(state.data, d => d[f])]));
+    const pca = SpotifyStats.pca(fields, PROJECTION_FEATURES, state.data.map(d => d.idx));
+    projection.pca = { method: "pca", pca, x: pca.x, y: pca.y, done: true };
+  }
+  return projection.pca;
+}
+
+function startTsne() {
+  const rows = stableSample(state.data, state.projSample);
+  const n = rows.length;
+  const d = PROJECTION_FEATURES.length;
+
+  // z-scored over the sample; a missing feature sits at the mean
+  const X = new Float64Array(n * d);
+  PROJECTION_FEATURES.forEach((f, k) => {
+    const mean = d3.mean(rows, r => r[f]) || 0;
+    const sd = d3.deviation(rows, r => r[f]) || 1;
+    rows.forEach((r, i) => {
+      X[i * d + k] = Number.isFinite(r[f]) ? (r[f] - mean) / sd : 0;
+    });
+  });
+
+  const job = {
+    method: "tsne",
+    size: state.projSample,
+    n,
+    x: new Float64Array(state.data.length).fill(NaN),
+    y: new Float64Array(state.data.length).fill(NaN),
+    iteration: 0,
+    done: false
+  };
+  const place = (Y) => {
+    rows.forEach((r, i) => {
+      job.x[r.idx] = Y[2 * i];
+      job.y[r.idx] = Y[2 * i + 1];
+    });
+  };
+  projection.tsne = job;
+
+  const options = { perplexity: TSNE_PERPLEXITY, iterations: TSNE_ITERATIONS, seed: state.sampleSeed };
+  projector.run(X, n, d, options, (iteration, Y) => {
+    if (projection.tsne !== job) return;
+    job.iteration = iteration;
+    place(Y);
+    projectionView.refresh();
+  }).then(Y => {
+    if (!Y || projection.tsne !== job) return;
+    place(Y);
+    job.iteration = TSNE_ITERATIONS;
+    job.done = true;
+    projectionView.refresh();
+  }).catch(err => {
+    console.error(err);
+    setStatus("Projection failed. Check console.");
+  });
+}
+
+function ProjectionView(containerId) {
+  const container = document.getElementById(containerId);
+  const margin = { top: 14, right: 16, bottom: 40, left: 52 };
+  const pointR = 2.2;
+  const api = {};
+
+  // Points on a canvas as in the scatter; axes, loading arrows and the brush are SVG
+  const root = d3.select(container).classed("viz-layered", true);
+  const canvas = root.append("canvas");
+  const ctx = canvas.node().getContext("2d");
+  const { svg, g } = makeSVG(container, margin);
+
+  const arrowId = `${containerId}-arrow`;
+  svg.append("defs").append("marker")
+    .attr("id", arrowId)
+    .attr("viewBox", "0 0 10 10")
+    .attr("refX", 9)
+    .attr("refY", 5)
+    .attr("markerWidth", 6)
+    .attr("markerHeight", 6)
+    .attr("orient", "auto")
+    .append("path")
+    .attr("d", "M0,0L10,5L0,10Z")
+    .attr("fill", "rgba(255,255,255,0.85)");
+
+  const grid = addGridlines(g);
+  const xAxisG = g.append("g").attr("class", "axis");
+  const yAxisG = g.append("g").attr("class", "axis");
+  const labels = addAxisLabels(g);
+  const loadingG = g.append("g").attr("pointer-events", "none");
+  const legendG = g.append("g").attr("class", "legend");
+  const brushG = g.append("g").attr("class", "brush");
+  const hoverRing = g.append("circle")
+    .attr("r", pointR + 3)
+    .attr("fill", "none")
+    .attr("stroke", "rgba(255,255,255,0.9)")
+    .attr("stroke-width", 1.5)
+    .attr("pointer-events", "none")
+    .style("display", "none");
+
+  const x = d3.scaleLinear();
+  const y = d3.scaleLinear();
+  const popColor = d3.scaleSequential(d3.interpolateViridis).domain([0, 100]);
+  let tree = d3.quadtree();
+  let current = [];
+  let brushing = false;
+  let ownSelection = null; // brushedIds set by this brush, so it is kept while that selection stands
+
+  // Pixel rectangle -> ids of the plotted tracks inside; the selection is by id
+  // because the projected axes mean nothing to the other views
+  const brush = d3.brush()
+    .on("start brush end", ({ type, selection, sourceEvent }) => {
+      if (!sourceEvent) return;
+      brushing = type !== "end";
+      if (brushing) return;
+      if (!selection) {
+        if (state.brushedIds && state.brushedIds === ownSelection) {
+          clearSelection();
+          dispatch();
+        }
+        return;
+      }
+      const [[x0, y0], [x1, y1]] = selection;
+      const ids = new Set();
+      tree.visit((node, nx0, ny0, nx1, ny1) => {
+        if (!node.length) {
+          do {
+            const [px, py, d] = node.data;
+            if (px >= x0 && px <= x1 && py >= y0 && py <= y1) ids.add(d.id);
+          } while ((node = node.next));
+        }
+        return nx0 > x1 || ny0 > y1 || nx1 < x0 || ny1 < y0;
+      });
+      state.shapes = [];
+      state.brushedIds = ownSelection = ids;
+      dispatch();
+    });
+
+  svg
+    .on("mousemove", (event) => {
+      const [px, py] = d3.pointer(event, g.node());
+      const hit = tree.find(px, py, 8);
+      if (!hit) {
+        hoverRing.style("display", "none");
+        hideTooltip();
+        return;
+      }
+      hoverRing.style("display", null).attr("cx", hit[0]).attr("cy", hit[1]);
+      showTooltip(`${trackTooltipHtml(hit[2], state.scatterX, state.scatterY)}<div class="t-row">Double-click for similar tracks</div>`, event.clientX, event.clientY);
+    })
+    .on("dblclick", (event) => {
+      const [px, py] = d3.pointer(event, g.node());
+      const hit = tree.find(px, py, 8);
+      if (hit) openSimilar(hit[2]);
+    })
+    .on("mouseleave", () => {
+      hoverRing.style("display", "none");
+      hideTooltip();
+    });
+
+  // data: tracks to plot (the filtered subset, before the selection)
+  api.render = (data) => {
+    current = data;
+    const layout = projectionLayout();
+    const { width, height, innerW, innerH } = sizeSVG(svg, container, { minW: 520, minH: 380, margin });
+    const dpr = window.devicePixelRatio || 1;
+    const t = svg.transition().duration(TRANSITION_MS);
+
+    canvas
+      .attr("width", Math.round(width * dpr))
+      .attr("height", Math.round(height * dpr))
+      .style("width", `${width}px`)
+      .style("height", `${height}px`);
+
+    const isPca = layout.method === "pca";
+    const pct = d3.format(".1%");
+    const [pc1, pc2] = isPca ? layout.pca.components : [];
+
+    const domainX = d3.extent(layout.x);
+    const domainY = d3.extent(layout.y);
+    x.domain(domainX[0] === undefined ? [-1, 1] : domainX).nice().range([0, innerW]);
+    y.domain(domainY[0] === undefined ? [-1, 1] : domainY).nice().range([innerH, 0]);
+
+    updateGridlines(grid, x, y, innerH, innerW, t);
+    // t-SNE coordinates have no units, so its axes carry no tick labels
+    xAxisG
+      .attr("transform", `translate(0,${innerH})`)
+      .transition(t)
+      .call(d3.axisBottom(x).ticks(6).tickFormat(isPca ? null : () => ""));
+    yAxisG.transition(t).call(d3.axisLeft(y).ticks(6).tickFormat(isPca ? null : () => ""));
+    updateAxisLabels(labels, innerW, innerH,
+      isPca ? `PC1 (${pct(pc1.share)} of variance)` : "t-SNE 1",
+      isPca ? `PC2 (${pct(pc2.share)} of variance)` : "t-SNE 2");
+
+    const plotted = [];
+    for (const d of data) {
+      const vx = layout.x[d.idx], vy = layout.y[d.idx];
+      if (Number.isFinite(vx) && Number.isFinite(vy)) plotted.push([x(vx), y(vy), d]);
+    }
+
+    // Popularity colours come in steps of 5 so each step is one canvas path
+    const byColor = state.projColor === "popularity"
+      ? p => popColor(Math.round(p[2].popularity / 5) * 5)
+      : p => genreColor(p[2].genre);
+    const active = selectionActive();
+    const groups = d3.group(plotted, p => !active || isSelected(p[2]), byColor);
+
+    ctx.setTransform(dpr, 0, 0, dpr, dpr * margin.left, dpr * margin.top);
+    ctx.clearRect(-margin.left, -margin.top, width, height);
+    for (const [isSel, alpha] of [[false, 0.12], [true, 0.7]]) {
+      const byFill = groups.get(isSel);
+      if (!byFill) continue;
+      ctx.globalAlpha = alpha;
+      for (const [fill, pts] of byFill) {
+        ctx.fillStyle = fill;
+        ctx.beginPath();
+        for (const [px, py] of pts) {
+          ctx.moveTo(px + pointR, py);
+          ctx.arc(px, py, pointR, 0, 2 * Math.PI);
+        }
+        ctx.fill();
+      }
+    }
+    ctx.globalAlpha = 1;
+
+    // Loading arrows: feature correlations with PC1/PC2, scaled to fit the plot
+    const loadings = isPca
+      ? PROJECTION_FEATURES.map((f, k) => ({ f, lx: pc1.loadings[k], ly: pc2.loadings[k] }))
+      : [];
+    const reach = Math.min(x.domain()[1], -x.domain()[0], y.domain()[1], -y.domain()[0]);
+    const longest = d3.max(loadings, l => Math.hypot(l.lx, l.ly)) || 1;
+    const k = 0.85 * reach / longest;
+    loadingG.selectAll("g.loading")
+      .data(loadings, l => l.f)
+      .join(enter => {
+        const item = enter.append("g").attr("class", "loading");
+        item.append("line")
+          .attr("stroke", "rgba(255,255,255,0.85)")
+          .attr("stroke-width", 1.5)
+          .attr("marker-end", `url(#${arrowId})`);
+        item.append("text")
+          .attr("fill", "rgba(255,255,255,0.92)")
+          .attr("stroke", cssVar("--card"))
+          .attr("stroke-width", 3)
+          .attr("paint-order", "stroke")
+          .attr("dy", "0.35em")
+          .style("font-size", "11px")
+          .text(l => fieldLabel(l.f));
+        return item;
+      })
+      .call(item => item.select("line")
+        .attr("x1", x(0))
+        .attr("y1", y(0))
+        .attr("x2", l => x(l.lx * k))
+        .attr("y2", l => y(l.ly * k)))
+      .call(item => item.select("text")
+        .attr("x", l => x(l.lx * k * 1.08))
+        .attr("y", l => y(l.ly * k * 1.08))
+        .attr("text-anchor", l => l.lx < -0.05 * longest ? "end" : l.lx > 0.05 * longest ? "start" : "middle"));
+
+    // Popularity scale, only when colouring by it
+    legendG
+      .attr("transform", `translate(${innerW - 130},4)`)
+      .selectAll("g.scale")
+      .data(state.projColor === "popularity" ? [popColor] : [])
+      .join(enter => {
+        const item = enter.append("g").attr("class", "scale");
+        item.selectAll("rect")
+          .data(d3.range(0, 101, 5))
+          .join("rect")
+          .attr("x", v => v)
+          .attr("y", 14)
+          .attr("width", 5.5)
+          .attr("height", 8)
+          .attr("fill", v => popColor(v));
+        item.append("text")
+          .attr("y", 9)
+          .attr("fill", "rgba(255,255,255,0.75)")
+          .style("font-size", "11px")
+          .text("Popularity 0 → 100");
+        return item;
+      });
+
+    tree = d3.quadtree().x(p => p[0]).y(p => p[1]).addAll(plotted);
+    hoverRing.style("display", "none");
+
+    els.projTitle.textContent = isPca ? "Feature space (PCA with loading vectors)" : "Feature space (t-SNE map)";
+    els.projProgress.hidden = layout.done;
+    if (!layout.done) els.projProgress.value = layout.iteration / TSNE_ITERATIONS;
+    const shown = `Plotted: ${fmt.int(plotted.length)} of ${fmt.int(data.length)} filtered tracks`;
+    els.projMeta.textContent = isPca
+      ? `PCA of ${PROJECTION_FEATURES.length} z-scored features over all ${fmt.int(layout.pca.n)} complete tracks | ` +
+        `PC1 + PC2 explain ${pct(pc1.share + pc2.share)} | ${shown}`
+      : `t-SNE (perplexity ${TSNE_PERPLEXITY}) of a ${fmt.int(layout.n)}-track sample | ` +
+        `${layout.done ? "done" : `iteration ${layout.iteration} / ${TSNE_ITERATIONS}…`} | ${shown} | the brush selects sampled tracks`;
+
+    brush.extent([[0, 0], [innerW, innerH]]);
+    brushG.call(brush);
+    if (!brushing && state.brushedIds !== ownSelection) {
+      ownSelection = null;
+      brushG.call(brush.move, null);
+    }
+  };
+
+  // Redraws the last data, e.g. when a t-SNE progress step arrives
+  api.refresh = () => api.render(current);
+
+  return api;
+}
+
+/* ---------- Genre profiles (radar / parallel coordinates, track lines) ---------- */
+
+// Audio features on the profile axes
+const PROFILE_FEATURES = MODEL_FEATURES;
+const PROFILE_MAX_LINES = 3000; // track mode draws a stable sample of the subset
+
+function ProfileView(containerId) {
+  const container = document.getElementById(containerId);
+  const margin = { top: 28, right: 140, bottom: 16, left: 44 };
+  const api = {};
+
+  // Track lines go on a canvas; axes, genre shapes, brushes and legend are SVG
+  const root = d3.select(container).classed("viz-layered", true);
+  const canvas = root.append("canvas");
+  const ctx = canvas.node().getContext("2d");
+  const { svg, g } = makeSVG(container, margin);
+
+  const ringG = g.append("g").attr("pointer-events", "none");
+  const axesG = g.append("g");
+  const shapeG = g.append("g");
+  const legendG = g.append("g").attr("class", "legend");
+
+  const x = d3.scalePoint(PROFILE_FEATURES);
+  let yOf = {};      // feature -> raw value to pixels on its parallel axis
+  let innerH = 0;
+  let tracks = [];   // subset behind the track lines, for axis brushing
+  let ranges = new Map(); // feature -> [lo, hi] brushed on its axis (track mode)
+  let ownSelection = null; // brushedIds set by the axis brushes
+  let brushing = false;
+
+  // Axis brushes AND together into an id selection over the whole subset
+  const brushes = new Map(PROFILE_FEATURES.map(f => [f, d3.brushY()
+    .on("start brush end", ({ type, selection, sourceEvent }) => {
+      if (!sourceEvent) return;
+      brushing = type !== "end";
+      if (selection) {
+        // Brushing to an end of the axis reaches the field's extent (clamped tails)
+        const [s0, s1] = selection;
+        const [e0, e1] = fieldExtent(f);
+        ranges.set(f, [s1 >= innerH ? e0 : yOf[f].invert(s1), s0 <= 0 ? e1 : yOf[f].invert(s0)]);
+      } else {
+        ranges.delete(f);
+      }
+
+      if (!ranges.size) {
+        if (ownSelection && state.brushedIds === ownSelection) {
+          clearSelection();
+          dispatch();
+        }
+        ownSelection = null;
+        return;
+      }
+      const ids = new Set();
+      for (const d of tracks) {
+        let inside = true;
+        for (const [k, [lo, hi]] of ranges) if (!(d[k] >= lo && d[k] <= hi)) { inside = false; break; }
+        if (inside) ids.add(d.id);
+      }
+      state.shapes = [];
+      state.brushedIds = ownSelection = ids;
+      dispatch();
+    })
+  ]));
+
+  const tipHtml = (p, stat) => `
+    <div class="t-title">${escapeHtml(p.genre)}</div>
+    <div class="t-row">${fmt.int(p.n)} tracks | ${stat} of each feature</div>
+    <div class="t-row">Click to filter, ctrl/shift-click to add</div>
+    ${PROFILE_FEATURES.map(f => `<div class="t-row"><b>${NUMERIC_FIELDS[f].label}:</b> ${Number.isFinite(p.raw[f]) ? NUMERIC_FIELDS[f].format(p.raw[f]) : "NA"}</div>`).join("")}
+  `;
+
+  // profiles: SpotifyStats.genreProfiles() result; subset: tracks for the track mode
+  api.render = (profiles, subset, metaText = "") => {
+    const { width, height, innerW, innerH: h } = sizeSVG(svg, container, { minW: 560, minH: 380, margin });
+    const dpr = window.devicePixelRatio || 1;
+    const t = svg.transition().duration(TRANSITION_MS);
+    innerH = h;
+    tracks = subset;
+
+    canvas
+      .attr("width", Math.round(width * dpr))
+      .attr("height", Math.round(height * dpr))
+      .style("width", `${width}px`)
+      .style("height", `${height}px`);
+    ctx.setTransform(dpr, 0, 0, dpr, dpr * margin.left, dpr * margin.top);
+    ctx.clearRect(-margin.left, -margin.top, width, height);
+
+    const mode = state.profileView;
+    const statLabel = profiles.stat === "median" ? "Median" : "Mean";
+    els.profileTitle.textContent = mode === "tracks"
+      ? "Tracks across audio features (parallel coordinates)"
+      : `Genre audio profiles (${statLabel.toLowerCase()}, scaled 0–1)`;
+    els.profileMeta.textContent = metaText;
+
+    const picked = p => !state.genre.size || state.genre.has(p.genre);
+    const genres = mode === "tracks" ? [] : profiles.genres;
+
+    x.range([0, innerW]);
+    yOf = Object.fromEntries(PROFILE_FEATURES.map(f =>
+      [f, d3.scaleLinear().domain(profiles.domains[f]).range([innerH, 0]).clamp(true)]));
+
+    // Radar: one spoke per feature, rings at quarter steps of the 0–1 scale
+    const radius = Math.max(40, Math.min(innerW, innerH) / 2 - 26);
+    const angle = i => (2 * Math.PI * i) / PROFILE_FEATURES.length - Math.PI / 2;
+    const radarPoint = (v, i) => [innerW / 2 + radius * v * Math.cos(angle(i)), innerH / 2 + radius * v * Math.sin(angle(i))];
+    const radar = mode === "radar";
+
+    ringG.selectAll("path.ring")
+      .data(radar ? [0.25, 0.5, 0.75, 1] : [])
+      .join("path")
+      .attr("class", "ring")
+      .attr("fill", "none")
+      .attr("stroke", "rgba(255,255,255,0.12)")
+      .attr("d", v => d3.line().curve(d3.curveLinearClosed)(PROFILE_FEATURES.map((_, i) => radarPoint(v, i))));
+    ringG.selectAll("g.spoke")
+      .data(radar ? PROFILE_FEATURES : [], f => f)
+      .join(enter => {
+        const spoke = enter.append("g").attr("class", "spoke");
+        spoke.append("line").attr("stroke", "rgba(255,255,255,0.18)");
+        spoke.append("text")
+          .attr("fill", "rgba(255,255,255,0.75)")
+          .attr("dy", "0.35em")
+          .style("font-size", "11px")
+          .text(f => NUMERIC_FIELDS[f].label);
+        return spoke;
+      })
+      .call(spoke => spoke.select("line")
+        .attr("x1", innerW / 2)
+        .attr("y1", innerH / 2)
+        .attr("x2", (_, i) => radarPoint(1, i)[0])
+        .attr("y2", (_, i) => radarPoint(1, i)[1]))
+      .call(spoke => spoke.select("text")
+        .attr("x", (_, i) => radarPoint(1.12, i)[0])
+        .attr("y", (_, i) => radarPoint(1.12, i)[1])
+        .attr("text-anchor", (_, i) => {
+          const c = Math.cos(angle(i));
+          return c > 0.2 ? "start" : c < -0.2 ? "end" : "middle";
+        }));
+
+    // Parallel axes in raw units (same 0–1 span as the radar); brushable in track mode
+    const big = f => Math.abs(profiles.domains[f][1]) >= 10000;
+    axesG.selectAll("g.pc-axis")
+      .data(radar ? [] : PROFILE_FEATURES, f => f)
+      .join(enter => {
+        const axis = enter.append("g").attr("class", "pc-axis");
+        axis.append("g").attr("class", "axis");
+        axis.append("text")
+          .attr("y", -12)
+          .attr("text-anchor", "middle")
+          .attr("fill", "rgba(255,255,255,0.75)")
+          .style("font-size", "11px")
+          .text(f => NUMERIC_FIELDS[f].label);
+        axis.append("g").attr("class", "brush");
+        return axis;
+      })
+      .attr("transform", f => `translate(${x(f)},0)`)
+      .each(function (f) {
+        const axis = d3.select(this);
+        axis.select(".axis").call(d3.axisLeft(yOf[f]).ticks(4).tickFormat(big(f) ? d3.format("~s") : null));
+        const brushG = axis.select(".brush").style("display", mode === "tracks" ? null : "none");
+        const brush = brushes.get(f).extent([[-9, 0], [9, innerH]]);
+        brushG.call(brush);
+        if (brushing) return;
+        const r = ranges.get(f);
+        brushG.call(brush.move, mode === "tracks" && r ? [yOf[f](r[1]), yOf[f](r[0])] : null);
+      });
+
+    // A selection made elsewhere replaces the axis brushes
+    if (state.brushedIds !== ownSelection) {
+      ownSelection = null;
+      ranges = new Map();
+      axesG.selectAll(".brush").each(function (f) { d3.select(this).call(brushes.get(f).move, null); });
+    }
+
+    // Genre shapes: closed radar polygons or open parallel polylines
+    const genrePath = p => radar
+      ? d3.line().curve(d3.curveLinearClosed)(PROFILE_FEATURES.map((f, i) => radarPoint(p.scaled[f] || 0, i)))
+      : d3.line().defined(pt => Number.isFinite(pt[1]))(PROFILE_FEATURES.map(f => [x(f), yOf[f](p.raw[f])]));
+    shapeG.selectAll("path")
+      .data(genres, p => p.genre)
+      .join(enter => enter.append("path")
+        .attr("stroke-width", 2)
+        .style("cursor", "pointer")
+        .on("mousemove", (event, p) => showTooltip(tipHtml(p, statLabel), event.clientX, event.clientY))
+        .on("mouseleave", hideTooltip)
+        .on("click", (event, p) => {
+          toggleGenre(p.genre, event.ctrlKey || event.metaKey || event.shiftKey);
+          clearSelection();
+          dispatch();
+        }))
+      .attr("stroke", p => genreColor(p.genre))
+      .attr("fill", p => radar ? genreColor(p.genre) : "none")
+      .attr("fill-opacity", p => radar && picked(p) ? 0.08 : 0)
+      .attr("stroke-opacity", p => picked(p) ? 0.95 : 0.2)
+      .transition(t)
+      .attr("d", genrePath);
+
+    // Track lines: dimmed ones first so the selection sits on top
+    if (mode === "tracks") {
+      const sample = stableSample(subset, PROFILE_MAX_LINES);
+      const active = selectionActive();
+      const groups = d3.group(sample, d => !active || isSelected(d), d => d.genre);
+      ctx.lineWidth = 1;
+      for (const [isSel, alpha] of [[false, 0.04], [true, 0.22]]) {
+        const byGenre = groups.get(isSel);
+        if (!byGenre) continue;
+        ctx.globalAlpha = alpha;
+        for (const [genre, rows] of byGenre) {
+          ctx.strokeStyle = genreColor(genre);
+          ctx.beginPath();
+          for (const d of rows) {
+            let pen = false;
+            for (const f of PROFILE_FEATURES) {
+              const v = d[f];
+              if (!Number.isFinite(v)) { pen = false; continue; }
+              if (pen) ctx.lineTo(x(f), yOf[f](v));
+              else ctx.moveTo(x(f), yOf[f](v));
+              pen = true;
+            }
+          }
+          ctx.stroke();
+        }
+      }
+      ctx.globalAlpha = 1;
+    }
+
+    // Legend: the profiled genres (the bar chart's top genres)
+    legendG
+      .attr("transform", `translate(${innerW + 24},0)`)
+      .selectAll("g.item")
+      .data(profiles.genres, p => p.genre)
+      .join(enter => {
+        const item = enter.append("g").attr("class", "item").style("cursor", "pointer");
+        item.append("rect").attr("width", 10).attr("height", 10).attr("rx", 2);
+        item.append("text")
+          .attr("x", 16)
+          .attr("y", 9)
+          .attr("fill", "rgba(255,255,255,0.75)")
+          .style("font-size", "11px");
+        item.on("click", (event, p) => {
+          toggleGenre(p.genre, event.ctrlKey || event.metaKey || event.shiftKey);
+          clearSelection();
+          dispatch();
+        });
+        return item;
+      })
+      .attr("transform", (_, i) => `translate(0,${i * 16})`)
+      .attr("opacity", p => picked(p) ? 1 : 0.4)
+      .call(item => item.select("rect").attr("fill", p => genreColor(p.genre)))
+      .call(item => item.select("text").text(p => p.genre));
+  };
+
+  return api;
+}
+
+/* ---------- Track table (virtualized, sortable, searchable) ---------- */
+
+const TABLE_COLUMNS = [
+  { key: "name", label: "Track", text: true },
+  { key: "artist", label: "Artist", text: true },
+  { key: "genre", label: "Genre", text: true },
+  ...["year", "popularity", "danceability", "energy", "valence", "speechiness", "acousticness",
+    "instrumentalness", "liveness", "tempo", "loudness", "duration_ms"]
+    .map(key => ({ key, label: NUMERIC_FIELDS[key].label, format: NUMERIC_FIELDS[key].format }))
+];
+
+function TableView(containerId) {
+  const container = document.getElementById(containerId);
+  const rowH = 26;
+  const overscan = 8;
+  const api = {};
+
+  container.style.setProperty("--table-cols", TABLE_COLUMNS
+    .map(c => c.key === "name" ? "minmax(180px, 2.2fr)" : c.key === "artist" ? "minmax(140px, 1.6fr)" : c.text ? "100px" : "minmax(72px, 1fr)")
+    .join(" "));
+
+  // Built once: a sticky header over a body as tall as all rows; only the rows
+  // in (or near) the viewport exist in the DOM
+  const scroller = d3.select(container).append("div").attr("class", "table-scroll");
+  const head = scroller.append("div").attr("class", "table-head");
+  const body = scroller.append("div").attr("class", "table-body");
+
+  let sortKey = "popularity";
+  let sortDir = -1;
+  let query = "";
+  let source = [];
+  let rows = [];
+  let order = null; // all of state.data in sort order; rebuilt only when the data or the sort changes
+  let orderData = null;
+  let anchor = null; // last clicked row id, for shift-click ranges
+  let pendingSelect = null; // single-click selection, waiting out a double-click
+
+  const headCells = head.selectAll("div")
+    .data(TABLE_COLUMNS)
+    .join("div")
+    .attr("class", c => c.text ? "cell" : "cell num")
+    .attr("role", "button")
+    .attr("title", "Sort")
+    .on("click", (event, c) => {
+      if (sortKey === c.key) sortDir = -sortDir;
+      else {
+        sortKey = c.key;
+        sortDir = c.text ? 1 : -1;
+      }
+      order = null;
+      refresh();
+    });
+
+  const cellText = (d, c) => {
+    const v = d[c.key];
+    if (c.text) return v;
+    return Number.isFinite(v) ? c.format(v) : "–";
+  };
+
+  // Missing values sort last either way
+  function sortedData() {
+    if (order && orderData === state.data) return order;
+    const col = TABLE_COLUMNS.find(c => c.key === sortKey);
+    const val = d => d[sortKey];
+    order = state.data.slice().sort(col.text
+      ? (a, b) => sortDir * String(val(a)).localeCompare(String(val(b)))
+      : (a, b) => {
+        const va = val(a), vb = val(b);
+        if (!Number.isFinite(va)) return Number.isFinite(vb) ? 1 : 0;
+        if (!Number.isFinite(vb)) return -1;
+        return sortDir * (va - vb);
+      });
+    orderData = state.data;
+    return order;
+  }
+
+  // Filter the cached sort order down to the source tracks matching the search,
+  // so a dispatch costs one pass instead of a sort
+  function refresh() {
+    const q = query.trim().toLowerCase();
+    const inSource = new Uint8Array(state.data.length);
+    for (const d of source) inSource[d.idx] = 1;
+    rows = sortedData().filter(d => inSource[d.idx] &&
+      (!q || d.name.toLowerCase().includes(q) || d.artist.toLowerCase().includes(q)));
+
+    headCells
+      .classed("sorted", c => c.key === sortKey)
+      .text(c => c.key === sortKey ? `${c.label} ${sortDir > 0 ? "▲" : "▼"}` : c.label);
+    body.style("height", `${rows.length * rowH}px`);
+
+    const selected = state.brushedIds ? state.brushedIds.size : 0;
+    els.tableMeta.textContent =
+      `${fmt.int(rows.length)} of ${fmt.int(source.length)} tracks${q ? ` matching "${query.trim()}"` : ""}` +
+      ` | ${selected ? `${fmt.int(selected)} selected` : "click a row to select, ctrl/⌘ to add, shift for a range"}`;
+    drawRows();
+  }
+
+  function drawRows() {
+    const top = scroller.node().scrollTop;
+    const height = scroller.node().clientHeight || 400;
+    const first = Math.max(0, Math.floor(top / rowH) - overscan);
+    const last = Math.min(rows.length, Math.ceil((top + height) / rowH) + overscan);
+    const visible = rows.slice(first, last);
+    const picked = d => Boolean(state.brushedIds && state.brushedIds.has(d.id));
+
+    body.selectAll("div.table-row")
+      .data(visible, d => d.id)
+      .join(enter => {
+        const row = enter.append("div").attr("class", "table-row");
+        row.selectAll("div")
+          .data(TABLE_COLUMNS)
+          .join("div")
+          .attr("class", c => c.text ? "cell" : "cell num");
+        row
+          .on("mouseenter", (event, d) => scatter.highlight(d))
+          .on("mouseleave", () => scatter.highlight(null))
+          // A double-click finds similar tracks without touching the selection
+          .on("click", (event, d) => {
+            clearTimeout(pendingSelect);
+            if (event.detail < 2) pendingSelect = setTimeout(() => selectRow(d, event), DBLCLICK_MS);
+          })
+          .on("dblclick", (event, d) => {
+            clearTimeout(pendingSelect);
+            openSimilar(d);
+          });
+        return row;
+      })
+      .style("top", d => `${rows.indexOf(d, first) * rowH}px`)
+      .classed("selected", picked)
+      .each(function (d) {
+        d3.select(this).selectAll("div.cell")
+          .text(c => cellText(d, c))
+          .attr("title", c => c.text ? cellText(d, c) : null);
+      });
+  }
+
+  // Plain click selects one row (or clears it), ctrl/⌘ toggles, shift adds a range.
+  // The table selection replaces any scatter brush.
+  function selectRow(d, event) {
+    const ids = new Set(state.brushedIds || []);
+    if (event.shiftKey && anchor !== null) {
+      const i = rows.findIndex(r => r.id === anchor);
+      const j = rows.indexOf(d);
+      if (i >= 0) for (let k = Math.min(i, j); k <= Math.max(i, j); k++) ids.add(rows[k].id);
+      else ids.add(d.id);
+    } else if (event.ctrlKey || event.metaKey) {
+      if (ids.has(d.id)) ids.delete(d.id);
+      else ids.add(d.id);
+    } else {
+      const only = ids.size === 1 && ids.has(d.id);
+      ids.clear();
+      if (!only) ids.add(d.id);
+    }
+    anchor = d.id;
+    state.shapes = [];
+    state.brushedIds = ids.size ? ids : null;
+    dispatch();
+  }
+
+  let frame = null;
+  scroller.on("scroll", () => {
+    if (frame) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      drawRows();
+    });
+  });
+
+  api.search = (text) => {
+    query = text;
+    scroller.node().scrollTop = 0;
+    refresh();
+  };
+
+  // data: tracks to list (the filtered subset before the selection, like the scatter)
+  api.render = (data) => {
+    source = data;
+    refresh();
+  };
+
+  return api;
+}
 
+/* ---------- Utility ---------- */
+
+function escapeHtml(str) {
+  return String(str ?? "").replace(/[&<>"']/g, m => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#039;"
+  }[m]));
+}
+
+/* ---------- URL state ---------- */
+
+// The hash holds only what differs from the defaults, e.g.
+// #genre=rock,edm&years=2000,2019&pop=40,100&x=tempo&y=popularity&sel=%2Br,90,130,40,80&pair=energy,loudness
+// sel lists the scatter's selection shapes in data space on the current axes:
+// "+r" / "-r" (add / subtract) then x0,x1,y0,y1 for a rectangle, "+l" / "-l"
+// then x,y pairs for a lasso. Links with the older brush=x0,x1,y0,y1 still load.
+
+function roundForUrl(v) {
+  return +Number(v).toPrecision(5);
+}
+
+function encodeState() {
+  const [yLo, yHi] = fieldExtent("year");
+  const parts = [];
+  const put = (key, vals) => parts.push(`${key}=${vals.map(v => encodeURIComponent(v)).join(",")}`);
+
+  if (state.genre.size) put("genre", Array.from(state.genre).sort(d3.ascending));
+  if (state.artist) put("artist", [state.artist]);
+  if (state.artistRank !== "mean") put("artists", [state.artistRank]);
+  if (state.yearMin !== yLo || state.yearMax !== yHi) put("years", [state.yearMin, state.yearMax]);
+  if (state.popMin !== 0 || state.popMax !== 100) put("pop", [state.popMin, state.popMax]);
+  const rangeFields = Object.keys(state.ranges).sort(d3.ascending);
+  if (rangeFields.length) put("ranges", rangeFields.flatMap(f => [f, ...state.ranges[f].map(roundForUrl)]));
+  if (state.scatterX !== "energy") put("x", [state.scatterX]);
+  if (state.scatterY !== "popularity") put("y", [state.scatterY]);
+  if (state.corrMethod !== "pearson") put("corr", [state.corrMethod]);
+  if (state.alpha !== 0.05) put("alpha", [state.alpha]);
+  if (state.pair) put("pair", [state.pair.a, state.pair.b]);
+  if (state.similar !== null) put("similar", [state.data[state.similar].id]);
+  if (state.similarK !== 10) put("simk", [state.similarK]);
+  const weights = SIMILARITY_FEATURES.map(f => state.similarWeights[f]);
+  if (weights.some(v => v !== 1)) put("simw", weights);
+  if (state.pairMode !== "auto") put("marks", [state.pairMode]);
+  if (state.ridge !== 0) put("ridge", [state.ridge]);
+  if (state.lineMetrics.join() !== "popularity") put("metrics", state.lineMetrics);
+  if (state.lineView !== "line") put("trend", [state.lineView]);
+  if (state.lineStat !== "mean") put("stat", [state.lineStat]);
+  if (state.lineBand !== "none") put("band", [state.lineBand]);
+  if (state.lineMinN !== 10) put("minn", [state.lineMinN]);
+  if (state.lineSparse !== "mark") put("sparse", [state.lineSparse]);
+  if (state.projMethod !== "pca") put("proj", [state.projMethod]);
+  if (state.projColor !== "genre") put("projcolor", [state.projColor]);
+  if (state.projSample !== 1500) put("projn", [state.projSample]);
+  if (state.profileView !== "radar") put("profile", [state.profileView]);
+  if (state.profileStat !== "mean") put("pstat", [state.profileStat]);
+  if (state.cohortBy !== "popularity") put("cohort", [state.cohortBy]);
+  if (state.hitCutoff !== 70) put("hit", [state.hitCutoff]);
+  if (state.scatterMode !== "box") put("drag", [state.scatterMode]);
+  if (state.shapes.length) {
+    put("sel", state.shapes.flatMap(s => [
+      `${s.op === "sub" ? "-" : "+"}${s.type === "rect" ? "r" : "l"}`,
+      ...(s.type === "rect" ? [s.x0, s.x1, s.y0, s.y1] : s.points.flat()).map(roundForUrl)
+    ]));
+  }
+  return parts.join("&");
+}
+
+function decodeState(hash) {
+  const params = new Map();
+  for (const part of hash.replace(/^#/, "").split("&")) {
+    const i = part.indexOf("=");
+    if (i > 0) params.set(part.slice(0, i), part.slice(i + 1).split(",").map(decodeURIComponent));
+  }
+  const nums = (key, n) => {
+    const v = (params.get(key) || []).map(Number);
+    return v.length === n && v.every(Number.isFinite) ? v : null;
+  };
+
+  const genres = new Set(state.data.map(d => d.genre));
+  const genre = (params.get("genre") || []).filter(g => genres.has(g));
+  const [artist] = params.get("artist") || [];
+  const [artistRank] = params.get("artists") || [];
+  const [x] = params.get("x") || [];
+  const [y] = params.get("y") || [];
+  const years = nums("years", 2);
+  const pop = nums("pop", 2);
+  const rangeTokens = params.get("ranges") || [];
+  const ranges = {};
+  for (let i = 0; i + 2 < rangeTokens.length; i += 3) {
+    const [f, lo, hi] = [rangeTokens[i], +rangeTokens[i + 1], +rangeTokens[i + 2]];
+    if (HIST_FIELDS.includes(f) && f !== "popularity" && Number.isFinite(lo) && Number.isFinite(hi)) {
+      ranges[f] = [Math.min(lo, hi), Math.max(lo, hi)];
+    }
+  }
+  const brush = nums("brush", 4);
+  const [drag] = params.get("drag") || [];
+  const [corr] = params.get("corr") || [];
+  const alpha = nums("alpha", 1);
+  const [pa, pb] = params.get("pair") || [];
+  const [similarId] = params.get("similar") || [];
+  const similar = similarId ? state.data.find(d => d.id === similarId) : null;
+  const simK = nums("simk", 1);
+  // One weight per SIMILARITY_FEATURES entry, on the sliders' quarter steps
+  const simW = nums("simw", SIMILARITY_FEATURES.length);
+  const validWeight = v => v >= 0 && v <= 3 && Number.isInteger(v * 4);
+  const [marks] = params.get("marks") || [];
+  const ridge = nums("ridge", 1);
+  const minN = nums("minn", 1);
+  const [trend] = params.get("trend") || [];
+  const metrics = LINE_METRICS.filter(k => (params.get("metrics") || []).includes(k));
+  const [stat] = params.get("stat") || [];
+  const [band] = params.get("band") || [];
+  const [sparse] = params.get("sparse") || [];
+  const [proj] = params.get("proj") || [];
+  const [projColor] = params.get("projcolor") || [];
+  const projN = nums("projn", 1);
+  const [profile] = params.get("profile") || [];
+  const [pstat] = params.get("pstat") || [];
+  const [cohort] = params.get("cohort") || [];
+  const hit = nums("hit", 1);
+  const isFeature = k => FEATURES_FOR_HEATMAP.includes(k);
+
+  return {
+    genre: new Set(genre),
+    artist: artistByName.get(String(artist || "").toLowerCase()) || null,
+    artistRank: artistRank === "total" ? "total" : "mean",
+    years: years ? [Math.min(...years), Math.max(...years)] : fieldExtent("year"),
+    pop: pop ? [clamp(Math.min(...pop), 0, 100), clamp(Math.max(...pop), 0, 100)] : [0, 100],
+    ranges,
+    x: x in NUMERIC_FIELDS ? x : "energy",
+    y: y in NUMERIC_FIELDS ? y : "popularity",
+    corr: corr in SpotifyStats.CORR_METHODS ? corr : "pearson",
+    alpha: alpha && [0.01, 0.001].includes(alpha[0]) ? alpha[0] : 0.05,
+    pair: isFeature(pa) && isFeature(pb) && pa !== pb ? { a: pa, b: pb } : null,
+    similar: similar ? similar.idx : null,
+    simK: simK && [20, 50].includes(simK[0]) ? simK[0] : 10,
+    simW: Object.fromEntries(SIMILARITY_FEATURES.map((f, i) =>
+      [f, simW && simW.every(validWeight) ? simW[i] : 1])),
+    marks: ["points", "hexbin"].includes(marks) ? marks : "auto",
+    ridge: ridge && [0.01, 0.1, 1, 10].includes(ridge[0]) ? ridge[0] : 0,
+    metrics: metrics.length ? metrics : ["popularity"],
+    trend: ["box", "violin"].includes(trend) ? trend : "line",
+    stat: stat === "median" ? "median" : "mean",
+    band: ["ci", "iqr"].includes(band) ? band : "none",
+    minN: minN && minN[0] >= 1 ? Math.round(minN[0]) : 10,
+    sparse: sparse === "hide" ? "hide" : "mark",
+    proj: proj === "tsne" ? "tsne" : "pca",
+    projColor: projColor === "popularity" ? "popularity" : "genre",
+    projN: projN && [1000, 2500].includes(projN[0]) ? projN[0] : 1500,
+    profile: ["parallel", "tracks"].includes(profile) ? profile : "radar",
+    pstat: pstat === "median" ? "median" : "mean",
+    cohort: cohort === "selection" ? "selection" : "popularity",
+    hit: hit && hit[0] >= 1 && hit[0] <= 100 ? Math.round(hit[0]) : 70,
+    drag: ["lasso", "pan"].includes(drag) ? drag : "box",
+    shapes: params.has("sel")
+      ? decodeShapes(params.get("sel"))
+      : brush ? [{ op: "add", type: "rect", x0: brush[0], x1: brush[1], y0: brush[2], y1: brush[3] }] : []
+  };
+}
+
+// Tokens of the sel parameter -> shapes; a malformed list selects nothing
+function decodeShapes(tokens) {
+  const shapes = [];
+  for (const tok of tokens) {
+    const head = /^([+-])([rl])$/.exec(tok);
+    if (head) {
+      shapes.push({ op: head[1] === "-" ? "sub" : "add", type: head[2] === "r" ? "rect" : "lasso", vals: [] });
+    } else if (shapes.length && tok !== "" && Number.isFinite(+tok)) {
+      shapes[shapes.length - 1].vals.push(+tok);
+    } else {
+      return [];
+    }
+  }
+  const valid = s => s.type === "rect" ? s.vals.length === 4 : s.vals.length >= 6 && s.vals.length % 2 === 0;
+  if (!shapes.every(valid)) return [];
+  return shapes.map(({ op, type, vals: v }) => type === "rect"
+    ? { op, type, x0: Math.min(v[0], v[1]), x1: Math.max(v[0], v[1]), y0: Math.min(v[2], v[3]), y1: Math.max(v[2], v[3]) }
+    : { op, type, points: d3.range(0, v.length, 2).map(i => [v[i], v[i + 1]]) });
+}
+
+function applyHashState(hash) {
+  const s = decodeState(hash);
+  state.genre = s.genre;
+  state.artist = s.artist;
+  state.artistRank = s.artistRank;
+  [state.yearMin, state.yearMax] = s.years;
+  [state.popMin, state.popMax] = s.pop;
+  state.ranges = s.ranges;
+  state.scatterX = s.x;
+  state.scatterY = s.y;
+  state.corrMethod = s.corr;
+  state.alpha = s.alpha;
+  state.pair = s.pair;
+  state.similar = s.similar;
+  state.similarK = s.simK;
+  state.similarWeights = s.simW;
+  state.pairMode = s.marks;
+  state.ridge = s.ridge;
+  state.lineMetrics = s.metrics;
+  state.lineView = s.trend;
+  state.lineStat = s.stat;
+  state.lineBand = s.band;
+  state.lineMinN = s.minN;
+  state.lineSparse = s.sparse;
+  state.projMethod = s.proj;
+  state.projColor = s.projColor;
+  state.projSample = s.projN;
+  state.profileView = s.profile;
+  state.profileStat = s.pstat;
+  state.cohortBy = s.cohort;
+  state.hitCutoff = s.hit;
+  state.scatterMode = s.drag;
+  clearSelection();
+  state.shapes = s.shapes;
+  lastHash = encodeState();
+}
+
+// Hash of the state currently in the history entry; restoring a state must not push a new one
+let lastHash = "";
+
+// Debounced so a brush drag becomes one history entry, not dozens
+const writeHash = debounce(() => {
+  const next = encodeState();
+  if (next === lastHash) return;
+  lastHash = next;
+  const url = next ? `#${next}` : location.pathname + location.search;
+  history.pushState(null, "", url);
+}, 500);
+
+/* ---------- Saved views and undo / redo ---------- */
+
+// Both hold snapshots: the encodeState() hash (filters, genres, selection
+// shapes, axes, chart options) plus the id selection, which is too long for the URL
+const VIEWS_KEY = "spotify-explorer.views";
+const UNDO_LIMIT = 100;
+
+function snapshot() {
+  const ids = state.brushedIds && state.brushedIds.size ? Array.from(state.brushedIds) : null;
+  return { hash: encodeState(), ids };
+}
+
+function sameSnapshot(a, b) {
+  if (a.hash !== b.hash) return false;
+  if (!a.ids || !b.ids) return !a.ids && !b.ids;
+  if (a.ids.length !== b.ids.length) return false;
+  const ids = new Set(a.ids);
+  return b.ids.every(id => ids.has(id));
+}
+
+function loadViews() {
+  try {
+    const views = JSON.parse(localStorage.getItem(VIEWS_KEY) || "[]");
+    return Array.isArray(views)
+      ? views
+        .filter(v => v && typeof v.name === "string" && typeof v.hash === "string")
+        .map(v => ({ ...v, ids: Array.isArray(v.ids) && v.ids.length ? v.ids.map(String) : null }))
+      : [];
+  } catch (err) {
+    return []; // storage disabled or unreadable
+  }
+}
+
+function storeViews(views) {
+  try {
+    localStorage.setItem(VIEWS_KEY, JSON.stringify(views));
+    return true;
+  } catch (err) {
+    return false; // storage full or disabled
+  }
+}
+
+// Apply a saved or recorded snapshot; unlike popstate the URL then follows it
+function restoreState(snap) {
+  applyHashState(snap.hash);
+  if (snap.ids) state.brushedIds = new Set(snap.ids);
+  lastHash = location.hash.replace(/^#/, "");
+  syncControls();
+  dispatch();
+}
+
+function saveView(name) {
+  const views = loadViews();
+  const label = name.trim() || `View ${views.length + 1}`;
+  // Saving under an existing name replaces that view
+  const next = views.filter(v => v.name !== label);
+  next.push({ name: label, ...snapshot(), saved: Date.now() });
+  if (!storeViews(next)) setStatus("Could not save the view (browser storage unavailable).");
+  renderViews();
+}
+
+function deleteView(name) {
+  storeViews(loadViews().filter(v => v.name !== name));
+  renderViews();
+}
+
+const savedFmt = d3.timeFormat("%b %d, %H:%M");
+
+function renderViews() {
+  const views = loadViews();
+  const now = snapshot();
+  els.viewsNote.textContent = views.length
+    ? "Click a view to restore it"
+    : "No saved views yet. Saved views keep filters, genres, selection, axes and chart options.";
+
+  d3.select(els.viewList)
+    .selectAll("li.view-item")
+    .data(views, v => v.name)
+    .join(enter => {
+      const item = enter.append("li").attr("class", "view-item");
+      item.append("button").attr("type", "button").attr("class", "view-open");
+      item.append("button")
+        .attr("type", "button")
+        .attr("class", "view-delete")
+        .attr("title", "Delete this view")
+        .text("×");
+      return item;
+    })
+    .classed("active", v => sameSnapshot(v, now))
+    .call(item => item.select(".view-open")
+      .attr("title", v => `Saved ${savedFmt(new Date(v.saved))}`)
+      .text(v => v.name)
+      .on("click", (event, v) => restoreState(v)))
+    .call(item => item.select(".view-delete").on("click", (event, v) => deleteView(v.name)));
+}
+
+// Undo / redo over the states dispatch() renders; `current` is the latest recorded
+const undo = { past: [], current: null, future: [] };
+
+function resetUndo() {
+  undo.past = [];
+  undo.current = null;
+  undo.future = [];
+  syncUndoButtons();
+}
+
+function recordState() {
+  const now = snapshot();
+  if (undo.current !== null && !sameSnapshot(now, undo.current)) {
+    undo.past.push(undo.current);
+    if (undo.past.length > UNDO_LIMIT) undo.past.shift();
+    undo.future = [];
+  }
+  undo.current = now;
+  syncUndoButtons();
+  renderViews();
+}
+
+// Debounced like writeHash so a brush drag is one step
+const recordStateSoon = debounce(recordState, 500);
+
+// Move one state from `from` to `to`, settling a change still waiting to be recorded first
+function stepUndo(from, to) {
+  recordState();
+  if (!from.length) return;
+  to.push(undo.current);
+  restoreState(from.pop());
+  undo.current = snapshot();
+  syncUndoButtons();
+}
+
+const undoState = () => stepUndo(undo.past, undo.future);
+const redoState = () => stepUndo(undo.future, undo.past);
+
+function syncUndoButtons() {
+  els.undoBtn.disabled = !undo.past.length;
+  els.redoBtn.disabled = !undo.future.length;
+}
+
+/* ---------- Export ---------- */
+
+// Same columns, in the same order, as preprocess.py writes to spotify_clean.csv
+const EXPORT_COLUMNS = SpotifyPrep.OUT_COLUMNS;
+
+// Active filters; shown in the card headers and written into exports
+function buildMeta() {
+  const f = state.filtered;
+  return {
+    count: f.length,
+    years: `${state.yearMin}–${state.yearMax}`,
+    pop: `${state.popMin}–${state.popMax}`,
+    genre: genreLabel(),
+    artist: state.artist || "All",
+    ranges: rangesLabel(),
+    brushed: selectionActive() ? fmt.int(f.length) : "none"
+  };
+}
+
+function toExportRow(d) {
+  const row = {};
+  for (const col of EXPORT_COLUMNS) {
+    if (col === "track_name") row[col] = d.name;
+    else if (col === "track_artist") row[col] = d.artist;
+    else row[col] = Number.isNaN(d[col]) ? null : d[col]; // missing stays an empty cell
+  }
+  return row;
+}
+
+function downloadText(text, filename, type) {
+  downloadBlob(new Blob([text], { type }), filename);
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportFilename(ext) {
+  return `spotify_subset_${state.filtered.length}.${ext}`;
+}
+
+// Metadata goes in leading "# key: value" lines ahead of the header row. The
+// CSV loader skips them (SpotifyPrep.stripComments); in pandas, pass
+// skiprows= the number of "#" lines (not comment="#", which also cuts
+// track names containing "#")
+function exportCSV() {
+  const header = Object.entries(buildMeta()).map(([k, v]) => `# ${k}: ${v}`).join("\n");
+  const body = d3.csvFormat(state.filtered.map(toExportRow), EXPORT_COLUMNS);
+  downloadText(`${header}\n${body}\n`, exportFilename("csv"), "text/csv;charset=utf-8");
+}
+
+function exportJSON() {
+  const out = { meta: buildMeta(), columns: EXPORT_COLUMNS, rows: state.filtered.map(toExportRow) };
+  downloadText(JSON.stringify(out), exportFilename("json"), "application/json");
+}
+
+/* ---------- Chart export (SVG / PNG) ---------- */
+
+// Charts that get SVG/PNG buttons in their card header
+const EXPORTABLE_CHARTS = ["scatter", "bar", "artists", "line", "heatmap", "pair", "projection", "profile", "model", "compare"];
+
+// Stylesheet rules that SVG marks depend on; copied into exported files
+const EXPORT_STYLE_PREFIXES = [".axis", ".gridline", ".legend"];
+
+function cssVar(name) {
+  return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+}
+
+function resolveCssVars(text) {
+  return text.replace(/var\((--[\w-]+)\)/g, (_, name) => cssVar(name));
+}
+
+function collectExportCss() {
+  const rules = [];
+  for (const sheet of document.styleSheets) {
+    let cssRules;
+    try {
+      cssRules = sheet.cssRules;
+    } catch (err) {
+      continue; // cross-origin sheet
+    }
+    for (const rule of cssRules) {
+      if (rule.selectorText && EXPORT_STYLE_PREFIXES.some(p => rule.selectorText.startsWith(p))) {
+        rules.push(rule.cssText);
+      }
+    }
+  }
+  // Text inherits the page font in the live chart
+  rules.push(`svg { font-family: ${cssVar("--sans")}; }`);
+  return resolveCssVars(rules.join("\n"));
+}
+
+// Standalone copy of a chart: inlined styles, theme background, and for the
+// scatter the canvas layer as an embedded image.
+function serializeChart(container) {
+  const svgNode = container.querySelector("svg");
+  const width = +svgNode.getAttribute("width");
+  const height = +svgNode.getAttribute("height");
+  const clone = svgNode.cloneNode(true);
+
+  clone.querySelectorAll(".brush .overlay, .brush .handle").forEach(n => n.remove());
+  clone.querySelectorAll("[style]").forEach(n => n.setAttribute("style", resolveCssVars(n.getAttribute("style"))));
+
+  const ns = "http://www.w3.org/2000/svg";
+  const first = clone.firstChild;
+
+  const title = document.createElementNS(ns, "title");
+  title.textContent = container.closest(".card").querySelector("h2").textContent;
+  clone.insertBefore(title, first);
+
+  const style = document.createElementNS(ns, "style");
+  style.textContent = collectExportCss();
+  clone.insertBefore(style, first);
+
+  const bg = document.createElementNS(ns, "rect");
+  bg.setAttribute("width", width);
+  bg.setAttribute("height", height);
+  bg.setAttribute("fill", cssVar("--card"));
+  clone.insertBefore(bg, first);
+
+  const canvas = container.querySelector("canvas");
+  if (canvas) {
+    const img = document.createElementNS(ns, "image");
+    img.setAttribute("width", width);
+    img.setAttribute("height", height);
+    img.setAttribute("href", canvas.toDataURL("image/png"));
+    clone.insertBefore(img, first);
+  }
+
+  return { text: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+function exportChartSVG(id) {
+  const { text } = serializeChart(document.getElementById(id));
+  downloadText(text, `${id}.svg`, "image/svg+xml;charset=utf-8");
+}
+
+function exportChartPNG(id, scale) {
+  const { text, width, height } = serializeChart(document.getElementById(id));
+  const url = URL.createObjectURL(new Blob([text], { type: "image/svg+xml;charset=utf-8" }));
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => downloadBlob(blob, `${id}@${scale}x.png`), "image/png");
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    setStatus(`Could not rasterize the ${id} chart.`);
+  };
+  img.src = url;
+}
+
+function addExportControls(id) {
+  const header = document.getElementById(id).closest(".card").querySelector(".card-header");
+  const bar = d3.select(header).append("div").attr("class", "card-actions");
+
+  bar.append("button")
+    .attr("type", "button")
+    .attr("title", "Download as SVG")
+    .text("SVG")
+    .on("click", () => exportChartSVG(id));
+
+  const scale = bar.append("select")
+    .attr("title", "PNG scale")
+    .attr("aria-label", "PNG scale");
+  scale.selectAll("option")
+    .data([1, 2, 3, 4])
+    .join("option")
+    .attr("value", d => d)
+    .property("selected", d => d === 2)
+    .text(d => `${d}×`);
+
+  bar.append("button")
+    .attr("type", "button")
+    .attr("title", "Download as PNG")
+    .text("PNG")
+    .on("click", () => exportChartPNG(id, +scale.property("value")));
+}
+
+/* ---------- Local CSV loading ---------- */
+
+// Raw-column mapping, year extraction, de-duplication and the top-10 genre cut
+// live in prep.js (SpotifyPrep), shared with Node and matching preprocess.py.
+
+function isRequiredColumn(t) {
+  return t.required || SpotifyPrep.DEFAULT_OPTIONS.required.includes(t.key);
+}
+
+function columnLabel(t) {
+  return t.key in NUMERIC_FIELDS ? NUMERIC_FIELDS[t.key].label : t.label;
+}
+
+function openMappingDialog(file, raw) {
+  const columns = raw.columns || [];
+  const guess = SpotifyPrep.guessColumnMapping(columns);
+
+  els.mappingNote.textContent =
+    `${file.name}: ${fmt.int(raw.length)} rows, ${columns.length} columns. Check the guessed columns below.`;
+
+  const rows = d3.select(els.mappingGrid)
+    .selectAll("div.mapping-row")
+    .data(SpotifyPrep.COLUMN_TARGETS, t => t.key)
+    .join(enter => {
+      const row = enter.append("div").attr("class", "mapping-row");
+      row.append("label").attr("for", t => `map-${t.key}`);
+      row.append("select").attr("id", t => `map-${t.key}`);
+      return row;
+    });
+
+  rows.select("label").text(t => isRequiredColumn(t) ? `${columnLabel(t)} *` : columnLabel(t));
+  rows.select("select")
+    .each(function (t) {
+      d3.select(this).selectAll("option")
+        .data(["", ...columns])
+        .join("option")
+        .attr("value", c => c)
+        .text(c => c || "(none)");
+      this.value = guess[t.key] || "";
+    });
+
+  els.mappingDialog.pendingFile = { file, raw };
+  els.mappingDialog.showModal();
+}
+
+function readMapping() {
+  const mapping = {};
+  for (const t of SpotifyPrep.COLUMN_TARGETS) {
+    mapping[t.key] = document.getElementById(`map-${t.key}`).value || null;
+  }
+  return mapping;
+}
+
+function onMappingSubmit(event) {
+  const pending = els.mappingDialog.pendingFile;
+  if (!event.submitter || event.submitter.value !== "load" || !pending) return;
+
+  const mapping = readMapping();
+  const missing = SpotifyPrep.COLUMN_TARGETS.filter(t => isRequiredColumn(t) && !mapping[t.key]);
+  if (missing.length) {
+    event.preventDefault();
+    els.mappingNote.textContent = `Please map: ${missing.map(columnLabel).join(", ")}.`;
+    return;
+  }
+
+  const { rows, report } = SpotifyPrep.prepare(pending.raw, { mapping });
+  if (!rows.length) {
+    event.preventDefault();
+    els.mappingNote.textContent = "No rows survived cleaning with this mapping.";
+    return;
+  }
+
+  // Filters and brush from the old dataset's URL don't carry over
+  setData(rows.map(parseRow));
+  history.pushState(null, "", location.pathname + location.search);
+  applyHashState("");
+  syncControls();
+  setStatus(`Loaded ${fmt.int(rows.length)} tracks from ${pending.file.name} ` +
+    `(${fmt.int(report.input)} rows read; ${SpotifyPrep.summarizeReport(report)}).`);
+  dispatch();
+}
+
+async function loadLocalFile(file) {
+  if (!file) return;
+  setStatus(`Reading ${file.name}...`);
+  try {
+    const raw = d3.csvParse(SpotifyPrep.stripComments(await file.text()));
+    openMappingDialog(file, raw);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not read ${file.name} as CSV.`);
+  }
+}
+
+function bindFileLoading() {
+  els.loadCsvBtn.addEventListener("click", () => els.fileInput.click());
+  els.fileInput.addEventListener("change", () => {
+    loadLocalFile(els.fileInput.files[0]);
+    els.fileInput.value = "";
+  });
+  els.mappingForm.addEventListener("submit", onMappingSubmit);
+
+  // Drop a CSV anywhere on the page
+  let depth = 0;
+  document.addEventListener("dragenter", (event) => {
+    event.preventDefault();
+    depth++;
+    document.body.classList.add("drag-over");
+  });
+  document.addEventListener("dragleave", () => {
+    depth = Math.max(0, depth - 1);
+    if (!depth) document.body.classList.remove("drag-over");
+  });
+  document.addEventListener("dragover", (event) => event.preventDefault());
+  document.addEventListener("drop", (event) => {
+    event.preventDefault();
+    depth = 0;
+    document.body.classList.remove("drag-over");
+    loadLocalFile(event.dataTransfer.files[0]);
+  });
+}
+
+/* ---------- Wiring ---------- */
+
+const filterStrip = FilterStripView("filterStrip");
 const scatter = ScatterView("scatter");
+const similarView = SimilarView();
 const bar = BarView("bar");
+const artistView = ArtistView("artists");
 const line = LineView("line");
 const heat = HeatmapView("heatmap");
+const pair = PairView("pair");
+const model = ModelView("model");
+const table = TableView("table");
+const projectionView = ProjectionView("projection");
+const profile = ProfileView("profile");
+const compare = CompareView("compare");
+const analytics = AnalyticsClient("analytics-worker.js");
+const projector = ProjectionClient("projection-worker.js");
 
 const dispatch = debounce(() => {
   applyFilters();
 
   const f = state.filtered;
-  const meta = {
-    count: f.length,
-    years: `${state.yearMin}–${state.yearMax}`,
-    pop: `${state.popMin}–${state.popMax}`,
-    genre: state.genre,
-    brushed: state.brushedIds ? fmt.int(state.brushedIds.size) : "none"
-  };
+  const meta = buildMeta();
+
+  const ranges = Object.keys(state.ranges).length + (fieldRange("popularity") ? 1 : 0);
+  filterStrip.render(filterIndex.histograms());
+  els.filterMeta.textContent = `Bars count tracks passing every other filter (years, genre, artist, other ranges) | ` +
+    `Active ranges: ${ranges || "none"} | Drag on a histogram to filter, click outside the range to clear it`;
+
+  // Neighbours are searched within the subset and ringed on the scatter
+  const similar = state.similar !== null ? findSimilar() : null;
+  scatter.mark(similar);
+  els.similarCard.hidden = !similar;
+  if (similar) similarView.render(similar);
+
+  // The scatter shows the whole subset so the brush can be adjusted; the rest analyse the selection
+  scatter.render(state.subset, `Tracks: ${fmt.int(state.subset.length)} | Genre: ${meta.genre}${state.artist ? ` | Artist: ${meta.artist}` : ""} | Years: ${meta.years} | Pop: ${meta.pop}${meta.ranges !== "none" ? ` | Ranges: ${meta.ranges}` : ""} | Selection: ${meta.brushed}`);
+
+  // The pair detail follows the same filtered tracks as the heatmap it came from
+  els.pairCard.hidden = !state.pair;
+  if (state.pair) pair.render(f, state.pair);
+  projectionView.render(state.subset);
+  table.render(state.subset);
+  writeHash();
+  recordStateSoon();
+
+  // Aggregations run in the worker; a newer dispatch() supersedes this one (result null)
+  const seriesSpec = line.seriesSpec();
+  const barCount = state.filteredAnyGenre.length;
+  const artistCount = state.filteredAnyArtist.length;
+  const subset = state.subset;
+  const cohorts = cohortRows();
+  analytics.run({
+    indices: toIndices(f),
+    barIndices: toIndices(state.filteredAnyGenre),
+    artistIndices: toIndices(state.filteredAnyArtist),
+    artistOptions: { k: 15, by: state.artistRank, minTracks: 3 },
+    features: FEATURES_FOR_HEATMAP,
+    method: state.corrMethod,
+    series: seriesSpec.map(({ key, field, genres }) => ({ key, field, genres })),
+    topK: 10,
+    model: {
+      features: MODEL_FEATURES,
+      target: "popularity",
+      lambda: state.ridge,
+      testShare: state.modelTestShare,
+      seed: state.sampleSeed
+    },
+    profiles: { features: PROFILE_FEATURES, stat: state.profileStat },
+    cohorts: { a: toIndices(cohorts.a), b: toIndices(cohorts.b), features: COMPARE_FEATURES }
+  }).then(result => {
+    if (!result) return;
+    const yearly = new Map(result.series.map(s => [s.key, s]));
+    bar.render(result.bars, `Subset: ${fmt.int(barCount)} tracks (all genres)`);
+    artistView.render(result.artists, `Subset: ${fmt.int(artistCount)} tracks (all artists)` +
+      `${state.artistRank === "mean" ? " | artists with 3+ tracks" : ""} | Artist filter: ${meta.artist}`);
+    line.render(
+      seriesSpec.map(s => ({ values: [], domain: [0, 100], ...s, ...yearly.get(s.key) })),
+      `Subset: ${fmt.int(meta.count)} tracks | ${line.describe()}`
+    );
+    heat.render(result.corr, `Subset: ${fmt.int(meta.count)} tracks | ${SpotifyStats.CORR_METHODS[state.corrMethod].label} | α = ${state.alpha}`);
+    model.render(result.model, modelMetaText(result.model));
+    profile.render(result.profiles, subset, state.profileView === "tracks"
+      ? `Subset: ${fmt.int(subset.length)} tracks (up to ${fmt.int(PROFILE_MAX_LINES)} lines drawn) | brush axes to select`
+      : `Subset: ${fmt.int(barCount)} tracks (all genres) | top genres by avg popularity | 0–1 = 1st–99th percentile of all tracks`);
+    compare.render(result.cohorts, { a: cohorts.labelA, b: cohorts.labelB },
+      `${cohorts.labelA}: ${fmt.int(cohorts.a.length)} tracks | ${cohorts.labelB}: ${fmt.int(cohorts.b.length)} tracks | ` +
+      `ranked by |Cohen's d| (pooled SD) | white ticks = cohort means | |d| < 0.2 faded`);
+  }).catch(err => {
+    console.error(err);
+    setStatus("Analytics failed. Check console.");
+  });
+}, 120);
 
-  scatter.render(f, `Tracks: ${fmt.int(meta.count)} | Genre: ${meta.genre} | Years: ${meta.years} | Pop: ${meta.pop} | Selection: ${meta.brushed}`);
-  bar.render(f, `Subset: ${fmt.int(meta.count)} tracks`);
-  line.render(f, `Subset: ${fmt.int(meta.count)} tracks`);
-  heat.render(f, `Subset: ${fmt.int(meta.count)} tracks`);
+function modelMetaText(m) {
+  const fit = state.ridge ? `Ridge λ = ${state.ridge}` : "OLS";
+  if (!m.ok) return `${fit} | ${fmt.int(m.n)} complete tracks | ${m.reason}`;
+  const r2 = v => Number.isFinite(v) ? d3.format(".3f")(v) : "NA";
+  return `${fit} | train ${fmt.int(m.nTrain)} / held-out ${fmt.int(m.nTest)} | R² train ${r2(m.r2Train)} | R² held-out ${r2(m.r2Test)} | RMSE ${fmt.num2(m.rmseTest)}`;
+}
 
-}, 120);
+function openPair(a, b) {
+  state.pair = { a, b };
+  els.pairCard.hidden = false;
+  els.pairCard.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  dispatch();
+}
+
+function closePair() {
+  state.pair = null;
+  els.pairCard.hidden = true;
+  dispatch();
+}
 
 function bindUI() {
   els.genreSelect.addEventListener("change", () => {
-    state.genre = els.genreSelect.value || "All";
-    state.brushedIds = null;
+    state.genre = new Set(Array.from(els.genreSelect.selectedOptions, o => o.value));
+    clearSelection();
+    dispatch();
+  });
+
+  // Applied as soon as the text names a known artist (e.g. picked from the list)
+  const onArtistInput = (commit) => {
+    const text = els.artistInput.value.trim();
+    const artist = text ? artistByName.get(text.toLowerCase()) : null;
+    if (text && !artist) {
+      if (!commit) return;
+      setStatus(`No artist named "${text}" in the data.`);
+      els.artistInput.value = state.artist || "";
+      return;
+    }
+    if (artist === state.artist || (!artist && !state.artist)) return;
+    state.artist = artist || null;
+    clearSelection();
+    dispatch();
+  };
+  els.artistInput.addEventListener("input", () => onArtistInput(false));
+  els.artistInput.addEventListener("change", () => onArtistInput(true));
+  els.artistRank.addEventListener("change", () => {
+    state.artistRank = els.artistRank.value;
+    dispatch();
+  });
+
+  const onAxisChange = () => {
+    state.scatterX = els.scatterX.value;
+    state.scatterY = els.scatterY.value;
+    // selection shapes are in the old axes' units
+    clearSelection();
+    dispatch();
+  };
+  els.scatterX.addEventListener("change", onAxisChange);
+  els.scatterMode.addEventListener("change", () => {
+    state.scatterMode = els.scatterMode.value;
+    dispatch();
+  });
+  els.scatterZoomReset.addEventListener("click", () => scatter.resetZoom());
+  els.corrMethod.addEventListener("change", () => {
+    state.corrMethod = els.corrMethod.value;
+    dispatch();
+  });
+  els.corrAlpha.addEventListener("change", () => {
+    state.alpha = +els.corrAlpha.value;
+    dispatch();
+  });
+  els.scatterY.addEventListener("change", onAxisChange);
+  els.pairMode.addEventListener("change", () => {
+    state.pairMode = els.pairMode.value;
+    dispatch();
+  });
+  els.pairCloseBtn.addEventListener("click", closePair);
+  els.lineMetrics.addEventListener("change", () => {
+    const picked = LINE_METRICS.filter(k => els.lineMetrics.querySelector(`input[value="${k}"]`).checked);
+    // At least one metric stays plotted
+    if (picked.length) state.lineMetrics = picked;
+    syncControls();
+    dispatch();
+  });
+  for (const key of ["lineView", "lineStat", "lineBand", "lineSparse"]) {
+    els[key].addEventListener("change", () => {
+      state[key] = els[key].value;
+      dispatch();
+    });
+  }
+  els.lineMinN.addEventListener("input", debounce(() => {
+    const n = clamp(els.lineMinN.value, 1, 100000);
+    if (n === null || els.lineMinN.value === "") return;
+    state.lineMinN = Math.round(n);
+    dispatch();
+  }, 180));
+  els.similarK.addEventListener("change", () => {
+    state.similarK = +els.similarK.value;
+    dispatch();
+  });
+  els.similarResetBtn.addEventListener("click", () => {
+    for (const f of SIMILARITY_FEATURES) state.similarWeights[f] = 1;
+    similarView.syncWeights();
+    dispatch();
+  });
+  // The query track and its neighbours become the selection
+  els.similarSelectBtn.addEventListener("click", () => {
+    const { target, neighbors } = findSimilar();
+    state.shapes = [];
+    state.brushedIds = new Set([target.id, ...neighbors.map(n => n.track.id)]);
+    dispatch();
+  });
+  els.similarCloseBtn.addEventListener("click", closeSimilar);
+  // A brushed rectangle only makes sense in the layout it was drawn on
+  els.projMethod.addEventListener("change", () => {
+    state.projMethod = els.projMethod.value;
+    syncControls();
+    clearSelection();
+    dispatch();
+  });
+  els.projSample.addEventListener("change", () => {
+    state.projSample = +els.projSample.value;
+    clearSelection();
+    dispatch();
+  });
+  // Axis brushes exist only on the track lines
+  els.profileView.addEventListener("change", () => {
+    if (state.profileView === "tracks" || els.profileView.value === "tracks") clearSelection();
+    state.profileView = els.profileView.value;
+    syncControls();
+    dispatch();
+  });
+  els.profileStat.addEventListener("change", () => {
+    state.profileStat = els.profileStat.value;
+    dispatch();
+  });
+  els.cohortBy.addEventListener("change", () => {
+    state.cohortBy = els.cohortBy.value;
+    syncControls();
+    dispatch();
+  });
+  els.hitCutoff.addEventListener("input", debounce(() => {
+    const n = clamp(els.hitCutoff.value, 1, 100);
+    if (n === null || els.hitCutoff.value === "") return;
+    state.hitCutoff = Math.round(n);
+    dispatch();
+  }, 180));
+  els.projColor.addEventListener("change", () => {
+    state.projColor = els.projColor.value;
+    dispatch();
+  });
+  els.tableSearch.addEventListener("input", debounce(() => table.search(els.tableSearch.value), 180));
+  els.clearRangesBtn.addEventListener("click", () => {
+    state.ranges = {};
+    setFieldRange("popularity", null);
+    dispatch();
+  });
+  els.ridgeLambda.addEventListener("change", () => {
+    state.ridge = +els.ridgeLambda.value;
     dispatch();
   });
 
@@ -693,7 +4299,7 @@ function bindUI() {
     if (lo === null || hi === null) return;
     state.yearMin = Math.min(lo, hi);
     state.yearMax = Math.max(lo, hi);
-    state.brushedIds = null;
+    clearSelection();
     dispatch();
   };
 
@@ -703,7 +4309,7 @@ function bindUI() {
     if (lo === null || hi === null) return;
     state.popMin = Math.min(lo, hi);
     state.popMax = Math.max(lo, hi);
-    state.brushedIds = null;
+    clearSelection();
     dispatch();
   };
 
@@ -715,51 +4321,73 @@ function bindUI() {
   els.clearBrushBtn.addEventListener("click", () => {
     if (scatter.clearBrush) scatter.clearBrush();
     else {
-      state.brushedIds = null;
+      clearSelection();
       dispatch();
     }
   });
 
+  EXPORTABLE_CHARTS.forEach(addExportControls);
+
+  els.exportCsvBtn.addEventListener("click", exportCSV);
+  els.exportJsonBtn.addEventListener("click", exportJSON);
+
   els.resetBtn.addEventListener("click", () => {
-    state.genre = "All";
-    els.genreSelect.value = "All";
+    state.genre = new Set();
+    state.artist = null;
     state.yearMin = d3.min(state.data, d => d.year);
     state.yearMax = d3.max(state.data, d => d.year);
     state.popMin = 0;
     state.popMax = 100;
+    state.ranges = {};
+    syncControls();
 
-    els.yearMin.value = state.yearMin;
-    els.yearMax.value = state.yearMax;
-    els.popMin.value = 0;
-    els.popMax.value = 100;
-
-    state.brushedIds = null;
+    clearSelection();
     dispatch();
   });
 
   // Hide tooltip on scroll
   window.addEventListener("scroll", hideTooltip, { passive: true });
   window.addEventListener("resize", debounce(() => dispatch(), 250));
+
+  // Back/forward between hash states
+  window.addEventListener("popstate", () => {
+    applyHashState(location.hash);
+    syncControls();
+    dispatch();
+  });
+
+  els.undoBtn.addEventListener("click", undoState);
+  els.redoBtn.addEventListener("click", redoState);
+  els.saveViewForm.addEventListener("submit", event => {
+    event.preventDefault();
+    saveView(els.viewName.value);
+    els.viewName.value = "";
+  });
+  // Ctrl/⌘+Z undoes, Ctrl/⌘+Shift+Z redoes; text fields keep their own undo
+  window.addEventListener("keydown", event => {
+    if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== "z") return;
+    const el = event.target;
+    if (el.tagName === "TEXTAREA" || (el.tagName === "INPUT" && ["text", "search", "number"].includes(el.type))) return;
+    event.preventDefault();
+    if (event.shiftKey) redoState();
+    else undoState();
+  });
 }
 
 async function init() {
   setStatus("Loading data...");
-  const raw = await d3.csv(DATA_PATH, parseRow);
-
-  // basic sanity checks
-  const cleaned = raw.filter(d =>
-    d.id && d.genre &&
-    Number.isFinite(d.year) &&
-    Number.isFinite(d.popularity) &&
-    Number.isFinite(d.energy)
-  );
+  const raw = await d3.csv(DATA_PATH);
 
-  state.data = cleaned;
+  // Same cleaning as preprocess.py / user CSVs; a no-op on an already clean file
+  const { rows, report } = SpotifyPrep.prepare(raw);
 
-  setControlsFromData(state.data);
+  setData(rows.map(parseRow));
+  applyHashState(location.hash);
+  syncControls();
   bindUI();
+  bindFileLoading();
 
-  setStatus(`Loaded ${fmt.int(state.data.length)} tracks.`);
+  setStatus(`Loaded ${fmt.int(state.data.length)} tracks (${SpotifyPrep.summarizeReport(report)}).`);
   dispatch();
 }
 
@@ -0,0 +1,322 @@
+/* Data preparation shared by the browser and Node.
+   Port of the cleaning rules in preprocess.py:
+   - map raw columns (spotify_songs.csv schema or similar exports) to app fields
+   - drop rows without a track id, de-duplicate by id
+   - extract the year from release-date strings, require popularity and genre
+   - require numeric values for configurable fields (energy by default)
+   - optional year window, keep the top-K genres by track count
+   Every dropped row is counted against the rule that dropped it.
+
+   Browser: <script src="prep.js"> exposes window.SpotifyPrep.
+   Node:    const SpotifyPrep = require("./prep.js");
+            node prep.js data/spotify_songs.csv data/spotify_clean.csv
+*/
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.SpotifyPrep = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const GENRE_COL_CANDIDATES = ["playlist_genre", "genre"];
+
+  const FEATURE_COLS = [
+    "danceability",
+    "energy",
+    "loudness",
+    "speechiness",
+    "acousticness",
+    "instrumentalness",
+    "liveness",
+    "valence",
+    "tempo",
+    "duration_ms"
+  ];
+
+  // Output schema, identical to preprocess.py's spotify_clean.csv
+  const OUT_COLUMNS = [
+    "id",
+    "track_name",
+    "track_artist",
+    "genre",
+    "year",
+    "popularity",
+    ...FEATURE_COLS
+  ];
+
+  // Output field -> raw columns to try, in order (matched case-insensitively)
+  const COLUMN_TARGETS = [
+    { key: "id", label: "Track id", required: true, candidates: ["id", "track_id", "spotify_id", "uri"] },
+    { key: "track_name", label: "Track name", candidates: ["track_name", "name", "title", "song"] },
+    { key: "track_artist", label: "Artist", candidates: ["track_artist", "artist", "artists", "artist_name"] },
+    { key: "genre", label: "Genre", required: true, candidates: GENRE_COL_CANDIDATES },
+    {
+      key: "year", label: "Year / release date", required: true,
+      candidates: ["year", "track_album_release_date", "release_date", "album_release_date"]
+    },
+    { key: "popularity", label: "Popularity", required: true, candidates: ["popularity", "track_popularity"] },
+    ...FEATURE_COLS.map(key => ({ key, label: key, candidates: [key] }))
+  ];
+
+  const DEFAULT_OPTIONS = {
+    mapping: null,        // output field -> raw column; guessed from the columns when null
+    topGenres: 10,        // keep the K most frequent genres; 0 keeps all
+    yearMin: null,        // inclusive year window; null = open
+    yearMax: null,
+    required: ["energy"], // features that must be numeric for a row to be kept
+    dedupe: true
+  };
+
+  // Why each rule drops a row; keys appear in report.dropped in this order
+  const RULES = {
+    missing_id: "no track id",
+    duplicate_id: "track id seen before",
+    bad_year: "no 4-digit year between 1900 and 2100",
+    missing_popularity: "popularity missing or not numeric",
+    missing_genre: "genre empty",
+    missing_required: "required feature missing or not numeric",
+    outside_year_window: "year outside the requested window",
+    not_top_genre: "genre not among the top-K by count"
+  };
+
+  // Tries to extract a year from several common formats
+  function extractYear(value) {
+    if (value === null || value === undefined) return null;
+    const m = /^(\d{4})/.exec(String(value).trim());
+    if (!m) return null;
+    const y = +m[1];
+    return y >= 1900 && y <= 2100 ? y : null;
+  }
+
+  function toFloat(value) {
+    if (value === null || value === undefined) return null;
+    const s = String(value).trim();
+    if (s === "") return null;
+    const x = Number(s);
+    return Number.isNaN(x) ? null : x;
+  }
+
+  function toInt(value) {
+    const x = toFloat(value);
+    return x === null ? null : Math.trunc(x);
+  }
+
+  function guessColumnMapping(columns) {
+    const byLower = new Map(columns.map(c => [String(c).trim().toLowerCase(), c]));
+    const mapping = {};
+    for (const target of COLUMN_TARGETS) {
+      const hit = target.candidates.find(c => byLower.has(c));
+      mapping[target.key] = hit ? byLower.get(hit) : null;
+    }
+    return mapping;
+  }
+
+  function columnsOf(raw) {
+    if (raw.columns) return raw.columns;
+    return raw.length ? Object.keys(raw[0]) : [];
+  }
+
+  /**
+   * Clean raw CSV rows (objects keyed by column name, values as strings).
+   * Returns { rows, report }: rows use OUT_COLUMNS with numbers or null for
+   * missing features; report = { input, output, mapping, dropped: [{ rule, reason, count }] }.
+   */
+  function prepare(raw, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const mapping = opts.mapping || guessColumnMapping(columnsOf(raw));
+    const get = (d, key) => (mapping[key] ? d[mapping[key]] : null);
+    const text = v => (v === null || v === undefined ? "" : String(v).trim());
+
+    const dropped = {};
+    for (const rule of Object.keys(RULES)) dropped[rule] = 0;
+
+    const rows = [];
+    const seen = new Set();
+
+    for (const d of raw) {
+      const id = text(get(d, "id"));
+      if (!id) { dropped.missing_id++; continue; }
+
+      // de-dup by track id
+      if (opts.dedupe) {
+        if (seen.has(id)) { dropped.duplicate_id++; continue; }
+        seen.add(id);
+      }
+
+      const year = extractYear(get(d, "year"));
+      if (year === null) { dropped.bad_year++; continue; }
+
+      const popularity = toInt(get(d, "popularity"));
+      if (popularity === null) { dropped.missing_popularity++; continue; }
+
+      const genre = text(get(d, "genre"));
+      if (!genre) { dropped.missing_genre++; continue; }
+
+      const vals = {};
+      for (const f of FEATURE_COLS) vals[f] = toFloat(get(d, f));
+      if (opts.required.some(f => vals[f] === null)) { dropped.missing_required++; continue; }
+
+      if ((opts.yearMin !== null && year < opts.yearMin) || (opts.yearMax !== null && year > opts.yearMax)) {
+        dropped.outside_year_window++;
+        continue;
+      }
+
+      rows.push({
+        id,
+        track_name: text(get(d, "track_name")),
+        track_artist: text(get(d, "track_artist")),
+        genre,
+        year,
+        popularity,
+        ...vals,
+        duration_ms: vals.duration_ms === null ? null : Math.trunc(vals.duration_ms)
+      });
+    }
+
+    // Keep top K genres by track count to keep dashboard readable
+    let out = rows;
+    if (opts.topGenres > 0) {
+      const counts = new Map();
+      for (const r of rows) counts.set(r.genre, (counts.get(r.genre) || 0) + 1);
+      const top = new Set(
+        Array.from(counts).sort((a, b) => b[1] - a[1]).slice(0, opts.topGenres).map(([g]) => g)
+      );
+      out = rows.filter(r => top.has(r.genre));
+      dropped.not_top_genre = rows.length - out.length;
+    }
+
+    return {
+      rows: out,
+      report: {
+        input: raw.length,
+        output: out.length,
+        mapping,
+        dropped: Object.keys(RULES).map(rule => ({ rule, reason: RULES[rule], count: dropped[rule] }))
+      }
+    };
+  }
+
+  // One-line summary of the non-zero drop counts
+  function summarizeReport(report) {
+    const parts = report.dropped.filter(d => d.count > 0).map(d => `${d.count} ${d.reason}`);
+    return parts.length ? `dropped ${parts.join("; ")}` : "nothing dropped";
+  }
+
+  /* ---------- Minimal RFC 4180 CSV (Node has no d3-dsv here) ---------- */
+
+  // Drops a BOM and the leading "# key: value" lines the app's CSV export
+  // writes ahead of the header row
+  function stripComments(str) {
+    let i = str.charCodeAt(0) === 0xfeff ? 1 : 0;
+    while (str[i] === "#") {
+      const end = str.indexOf("\n", i);
+      if (end < 0) return "";
+      i = end + 1;
+    }
+    return str.slice(i);
+  }
+
+  function parseCSV(text) {
+    const str = stripComments(text);
+    const records = [];
+    let field = "";
+    let record = [];
+    let quoted = false;
+    let i = 0;
+
+    for (; i < str.length; i++) {
+      const c = str[i];
+      if (quoted) {
+        if (c === "\"") {
+          if (str[i + 1] === "\"") { field += "\""; i++; }
+          else quoted = false;
+        } else {
+          field += c;
+        }
+      } else if (c === "\"") {
+        quoted = true;
+      } else if (c === ",") {
+        record.push(field);
+        field = "";
+      } else if (c === "\n" || c === "\r") {
+        if (c === "\r" && str[i + 1] === "\n") i++;
+        record.push(field);
+        records.push(record);
+        field = "";
+        record = [];
+      } else {
+        field += c;
+      }
+    }
+    if (field !== "" || record.length) {
+      record.push(field);
+      records.push(record);
+    }
+
+    const [columns = [], ...body] = records;
+    const rows = body.map(r => {
+      const o = {};
+      columns.forEach((c, j) => { o[c] = r[j] === undefined ? "" : r[j]; });
+      return o;
+    });
+    rows.columns = columns;
+    return rows;
+  }
+
+  function formatCSV(rows, columns = OUT_COLUMNS) {
+    const cell = v => {
+      const s = v === null || v === undefined ? "" : String(v);
+      return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, "\"\"")}"` : s;
+    };
+    const lines = [columns.map(cell).join(",")];
+    for (const r of rows) lines.push(columns.map(c => cell(r[c])).join(","));
+    return lines.join("\n") + "\n";
+  }
+
+  return {
+    GENRE_COL_CANDIDATES,
+    FEATURE_COLS,
+    OUT_COLUMNS,
+    COLUMN_TARGETS,
+    DEFAULT_OPTIONS,
+    RULES,
+    extractYear,
+    toFloat,
+    toInt,
+    guessColumnMapping,
+    prepare,
+    summarizeReport,
+    stripComments,
+    parseCSV,
+    formatCSV
+  };
+});
+
+// CLI: node prep.js [raw.csv] [out.csv] [--top=10] [--years=1960,2020]
+if (typeof require === "function" && typeof module === "object" && require.main === module) {
+  const fs = require("fs");
+  const SpotifyPrep = module.exports;
+  const args = process.argv.slice(2);
+  const flags = Object.fromEntries(
+    args.filter(a => a.startsWith("--")).map(a => a.slice(2).split("="))
+  );
+  const [rawPath = "data/spotify_songs.csv", outPath = "data/spotify_clean.csv"] =
+    args.filter(a => !a.startsWith("--"));
+
+  const options = {};
+  if (flags.top !== undefined) options.topGenres = +flags.top;
+  if (flags.years) [options.yearMin, options.yearMax] = flags.years.split(",").map(Number);
+
+  const raw = SpotifyPrep.parseCSV(fs.readFileSync(rawPath, "utf8"));
+  const { rows, report } = SpotifyPrep.prepare(raw, options);
+  if (!report.mapping.genre) {
+    console.error(`Could not find genre column. Available columns: ${raw.columns.join(", ")}`);
+    process.exit(1);
+  }
+  fs.writeFileSync(outPath, SpotifyPrep.formatCSV(rows));
+
+  console.log(`Wrote ${rows.length} rows to ${outPath}`);
+  for (const d of report.dropped) {
+    if (d.count) console.log(`  dropped ${d.count}: ${d.reason}`);
+  }
+}
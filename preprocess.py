@@ -1,3 +1,4 @@
+# Cleaning rules are mirrored in prep.js (browser + Node); keep the two in sync.
 import csv
 import re
 from datetime import datetime
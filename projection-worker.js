@@ -0,0 +1,31 @@
+/* Projection worker: runs t-SNE off the main thread, reporting the layout as
+   it converges.
+
+   in:  { type: "run", id, X, n, d, options }  z-scored rows (row-major X)
+        { type: "cancel" }                      stop the current run
+   out: { id, progress, Y } | { id, result } | { id, cancelled: true } | { id, error }
+
+   A newer "run" or a "cancel" supersedes the current run: t-SNE yields after
+   each progress report, so the message is seen and the old run stops.
+*/
+
+importScripts("stats.js");
+
+let latest = 0;
+
+self.onmessage = async ({ data: msg }) => {
+  if (msg.type === "cancel") {
+    latest = 0;
+    return;
+  }
+  if (msg.type !== "run") return;
+
+  latest = msg.id;
+  const onProgress = (iteration, Y) => self.postMessage({ id: msg.id, progress: iteration, Y });
+  try {
+    const Y = await SpotifyStats.tsne(msg.X, msg.n, msg.d, { ...msg.options, onProgress }, () => msg.id !== latest);
+    self.postMessage(Y ? { id: msg.id, result: Y } : { id: msg.id, cancelled: true });
+  } catch (err) {
+    self.postMessage({ id: msg.id, error: String(err && err.message || err) });
+  }
+};
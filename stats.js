@@ -0,0 +1,1171 @@
+/* Analytics shared by the page, analytics-worker.js and projection-worker.js.
+   Works on compact columns (typed arrays, one per numeric field, plus genre
+   codes) and subsets given as row-index arrays, so the worker receives the
+   data once and each dispatch() only sends indices.
+
+   Browser: <script src="stats.js"> exposes window.SpotifyStats.
+   Worker:  importScripts("stats.js") exposes self.SpotifyStats.
+   Node:    const SpotifyStats = require("./stats.js");
+*/
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.SpotifyStats = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  function pearsonCorr(x, y) {
+    // Robust Pearson correlation
+    const n = Math.min(x.length, y.length);
+    if (n < 3) return NaN;
+
+    let sx = 0, sy = 0;
+    for (let i = 0; i < n; i++) { sx += x[i]; sy += y[i]; }
+    const mx = sx / n, my = sy / n;
+
+    let num = 0, dx = 0, dy = 0;
+    for (let i = 0; i < n; i++) {
+      const a = x[i] - mx;
+      const b = y[i] - my;
+      num += a * b;
+      dx += a * a;
+      dy += b * b;
+    }
+    const den = Math.sqrt(dx * dy);
+    if (!den) return NaN;
+    return num / den;
+  }
+
+  // Average ranks (1-based), ties share the mean of their positions
+  function rank(values) {
+    const n = values.length;
+    const order = Uint32Array.from({ length: n }, (_, i) => i)
+      .sort((a, b) => values[a] - values[b]);
+    const ranks = new Float64Array(n);
+    for (let i = 0; i < n;) {
+      let j = i;
+      while (j + 1 < n && values[order[j + 1]] === values[order[i]]) j++;
+      const r = (i + j) / 2 + 1;
+      for (let k = i; k <= j; k++) ranks[order[k]] = r;
+      i = j + 1;
+    }
+    return ranks;
+  }
+
+  function spearmanCorr(x, y) {
+    if (Math.min(x.length, y.length) < 3) return NaN;
+    return pearsonCorr(rank(x), rank(y));
+  }
+
+  // Tie pairs t(t-1)/2 summed over runs of equal values in an ordered view
+  function tiePairs(values, order) {
+    let total = 0;
+    for (let i = 0; i < order.length;) {
+      let j = i;
+      while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+      const t = j - i + 1;
+      total += t * (t - 1) / 2;
+      i = j + 1;
+    }
+    return total;
+  }
+
+  // Kendall tau-b in O(n log n) (Knight 1966): sort by (x, y), then count the
+  // swaps a merge sort on y needs; swaps = discordant pairs.
+  function kendallTauB(x, y) {
+    const n = Math.min(x.length, y.length);
+    if (n < 3) return NaN;
+
+    let order = Uint32Array.from({ length: n }, (_, i) => i)
+      .sort((a, b) => (x[a] - x[b]) || (y[a] - y[b]));
+
+    const n0 = n * (n - 1) / 2;
+    const n1 = tiePairs(x, order);
+
+    // joint ties: runs equal in both x and y
+    let n3 = 0;
+    for (let i = 0; i < n;) {
+      let j = i;
+      while (j + 1 < n && x[order[j + 1]] === x[order[i]] && y[order[j + 1]] === y[order[i]]) j++;
+      const t = j - i + 1;
+      n3 += t * (t - 1) / 2;
+      i = j + 1;
+    }
+
+    // bottom-up merge sort on y, counting swaps
+    let swaps = 0;
+    let buf = new Uint32Array(n);
+    for (let width = 1; width < n; width *= 2) {
+      for (let lo = 0; lo < n; lo += 2 * width) {
+        const mid = Math.min(lo + width, n);
+        const hi = Math.min(lo + 2 * width, n);
+        let i = lo, j = mid, k = lo;
+        while (i < mid && j < hi) {
+          if (y[order[j]] < y[order[i]]) {
+            buf[k++] = order[j++];
+            swaps += mid - i;
+          } else {
+            buf[k++] = order[i++];
+          }
+        }
+        while (i < mid) buf[k++] = order[i++];
+        while (j < hi) buf[k++] = order[j++];
+      }
+      [order, buf] = [buf, order];
+    }
+
+    const n2 = tiePairs(y, order);
+    const den = Math.sqrt((n0 - n1) * (n0 - n2));
+    if (!den) return NaN;
+    return (n0 - n1 - n2 + n3 - 2 * swaps) / den;
+  }
+
+  /* ---------- Distributions (p-values, intervals) ---------- */
+
+  function logGamma(z) {
+    // Lanczos approximation
+    const g = 7;
+    const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+      -176.61503916999185, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+      1.5056327351493116e-7];
+    if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+    z -= 1;
+    let a = c[0];
+    const t = z + g + 0.5;
+    for (let i = 1; i < g + 2; i++) a += c[i] / (z + i);
+    return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
+  }
+
+  // Continued fraction for the incomplete beta (Numerical Recipes betacf)
+  function betacf(a, b, x) {
+    const EPS = 1e-12, FPMIN = 1e-300;
+    let c = 1, d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m <= 300; m++) {
+      const m2 = 2 * m;
+      let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+      d = 1 + aa * d; if (Math.abs(d) < FPMIN) d = FPMIN;
+      c = 1 + aa / c; if (Math.abs(c) < FPMIN) c = FPMIN;
+      d = 1 / d; h *= d * c;
+      aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+      d = 1 + aa * d; if (Math.abs(d) < FPMIN) d = FPMIN;
+      c = 1 + aa / c; if (Math.abs(c) < FPMIN) c = FPMIN;
+      d = 1 / d;
+      const del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < EPS) break;
+    }
+    return h;
+  }
+
+  // Regularized incomplete beta I_x(a, b)
+  function incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+      ? front * betacf(a, b, x) / a
+      : 1 - front * betacf(b, a, 1 - x) / b;
+  }
+
+  // Two-sided p-value of Student's t with df degrees of freedom
+  function tTestP(t, df) {
+    if (!Number.isFinite(t)) return Number.isNaN(t) ? NaN : 0;
+    return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  }
+
+  function normalCdf(z) {
+    // Abramowitz & Stegun 7.1.26 via erf
+    const s = z < 0 ? -1 : 1;
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return 0.5 * (1 + s * y);
+  }
+
+  // Inverse standard normal CDF (Acklam's rational approximation)
+  function normalQuantile(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const lo = 0.02425, hi = 1 - lo;
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+    if (p < lo) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > hi) return -normalQuantile(1 - p);
+    const q = p - 0.5, r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  // Two-sided critical value of Student's t: P(|T| > t) = 1 - level
+  function tCritical(level, df) {
+    if (!(df > 0)) return NaN;
+    let lo = 0, hi = 2;
+    while (tTestP(hi, df) > 1 - level) hi *= 2;
+    for (let k = 0; k < 50; k++) {
+      const mid = (lo + hi) / 2;
+      if (tTestP(mid, df) > 1 - level) lo = mid;
+      else hi = mid;
+    }
+    return (lo + hi) / 2;
+  }
+
+  const CORR_METHODS = {
+    pearson: { label: "Pearson r", symbol: "r", fn: pearsonCorr },
+    spearman: { label: "Spearman ρ", symbol: "ρ", fn: spearmanCorr },
+    kendall: { label: "Kendall τ-b", symbol: "τ", fn: kendallTauB }
+  };
+
+  // Two-sided p-value for H0: no association.
+  // Pearson/Spearman: t with n-2 df. Kendall: normal approximation.
+  function corrPValue(method, r, n) {
+    if (!Number.isFinite(r) || n < 4) return NaN;
+    if (Math.abs(r) >= 1) return 0;
+    if (method === "kendall") {
+      const z = 3 * r * Math.sqrt(n * (n - 1)) / Math.sqrt(2 * (2 * n + 5));
+      return 2 * (1 - normalCdf(Math.abs(z)));
+    }
+    return tTestP(r * Math.sqrt((n - 2) / (1 - r * r)), n - 2);
+  }
+
+  // Confidence interval via Fisher's z; rank methods use Fieller et al. (1957) variances
+  function corrCI(method, r, n, level = 0.95) {
+    const minN = method === "kendall" ? 5 : 4;
+    if (!Number.isFinite(r) || n < minN) return [NaN, NaN];
+    if (Math.abs(r) >= 1) return [r, r];
+    const se = method === "spearman" ? Math.sqrt(1.06 / (n - 3))
+      : method === "kendall" ? Math.sqrt(0.437 / (n - 4))
+        : 1 / Math.sqrt(n - 3);
+    const zc = normalQuantile(1 - (1 - level) / 2);
+    const z = Math.atanh(r);
+    return [Math.tanh(z - zc * se), Math.tanh(z + zc * se)];
+  }
+
+  // Keep only the rows where both values are finite (pairwise deletion)
+  function alignFinite(xa, yb) {
+    const x = [], y = [];
+    for (let k = 0; k < xa.length; k++) {
+      const vx = xa[k], vy = yb[k];
+      if (Number.isFinite(vx) && Number.isFinite(vy)) {
+        x.push(vx); y.push(vy);
+      }
+    }
+    return { x, y };
+  }
+
+  /* ---------- Regression ---------- */
+
+  // Least-squares line y = intercept + slope * x over finite pairs
+  function linearFit(xs, ys) {
+    const { x, y } = alignFinite(xs, ys);
+    const n = x.length;
+    if (n < 2) return { n, slope: NaN, intercept: NaN, r2: NaN };
+    let mx = 0, my = 0;
+    for (let i = 0; i < n; i++) { mx += x[i]; my += y[i]; }
+    mx /= n; my /= n;
+    let sxy = 0, sxx = 0, syy = 0;
+    for (let i = 0; i < n; i++) {
+      const a = x[i] - mx, b = y[i] - my;
+      sxy += a * b; sxx += a * a; syy += b * b;
+    }
+    if (!sxx) return { n, slope: NaN, intercept: NaN, r2: NaN };
+    const slope = sxy / sxx;
+    return { n, slope, intercept: my - slope * mx, r2: syy ? (sxy * sxy) / (sxx * syy) : NaN };
+  }
+
+  // LOESS (locally weighted linear regression, tricube weights) evaluated on
+  // an even grid of `points` x positions; span = share of points per fit.
+  function loess(xs, ys, { span = 0.3, points = 60 } = {}) {
+    const { x: rx, y: ry } = alignFinite(xs, ys);
+    const n = rx.length;
+    if (n < 5) return [];
+    const order = Uint32Array.from({ length: n }, (_, i) => i).sort((a, b) => rx[a] - rx[b]);
+    const x = Float64Array.from(order, i => rx[i]);
+    const y = Float64Array.from(order, i => ry[i]);
+    const q = Math.min(n, Math.max(5, Math.ceil(span * n)));
+    const x0 = x[0], x1 = x[n - 1];
+    if (x0 === x1) return [];
+
+    const out = [];
+    let lo = 0; // window [lo, lo + q) slides right as the grid advances
+    for (let g = 0; g < points; g++) {
+      const xg = x0 + (x1 - x0) * g / (points - 1);
+      while (lo + q < n && xg - x[lo] > x[lo + q] - xg) lo++;
+      const hi = lo + q - 1;
+      const maxDist = Math.max(xg - x[lo], x[hi] - xg) || 1;
+
+      let sw = 0, swx = 0, swy = 0, swxx = 0, swxy = 0;
+      for (let i = lo; i <= hi; i++) {
+        const u = Math.abs(x[i] - xg) / maxDist;
+        const w = u >= 1 ? 0 : Math.pow(1 - u * u * u, 3);
+        sw += w; swx += w * x[i]; swy += w * y[i];
+        swxx += w * x[i] * x[i]; swxy += w * x[i] * y[i];
+      }
+      if (!sw) continue;
+      const den = sw * swxx - swx * swx;
+      const yg = Math.abs(den) > 1e-12
+        ? (swy * swxx - swx * swxy + xg * (sw * swxy - swx * swy)) / den
+        : swy / sw;
+      out.push({ x: xg, y: yg });
+    }
+    return out;
+  }
+
+  // Solve A x = b for a symmetric positive-definite A (p x p, array of rows)
+  // by Cholesky decomposition; null when A is not positive definite.
+  function choleskySolve(A, b) {
+    const p = b.length;
+    const L = Array.from({ length: p }, () => new Float64Array(p));
+    for (let i = 0; i < p; i++) {
+      for (let j = 0; j <= i; j++) {
+        let s = A[i][j];
+        for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
+        if (i === j) {
+          if (!(s > 1e-12)) return null;
+          L[i][i] = Math.sqrt(s);
+        } else {
+          L[i][j] = s / L[j][j];
+        }
+      }
+    }
+    const z = new Float64Array(p);
+    for (let i = 0; i < p; i++) {
+      let s = b[i];
+      for (let k = 0; k < i; k++) s -= L[i][k] * z[k];
+      z[i] = s / L[i][i];
+    }
+    const x = new Float64Array(p);
+    for (let i = p - 1; i >= 0; i--) {
+      let s = z[i];
+      for (let k = i + 1; k < p; k++) s -= L[k][i] * x[k];
+      x[i] = s / L[i][i];
+    }
+    return x;
+  }
+
+  // Deterministic uniform [0, 1) per (row, seed); a row stays on the same side
+  // of a train/test split as filters change
+  function splitUniform(row, seed) {
+    let h = Math.imul(row ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(seed + 1, 0xc2b2ae35);
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x7feb352d);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0x846ca68b);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+  }
+
+  // z-scores of a column (mean and sample SD over its finite values); missing stays NaN
+  function standardize(column) {
+    let n = 0, sum = 0, ss = 0;
+    for (let i = 0; i < column.length; i++) if (Number.isFinite(column[i])) { n++; sum += column[i]; }
+    const mean = sum / n;
+    for (let i = 0; i < column.length; i++) if (Number.isFinite(column[i])) ss += (column[i] - mean) ** 2;
+    const scale = Math.sqrt(ss / Math.max(1, n - 1)) || 1;
+    return Float64Array.from(column, v => Number.isFinite(v) ? (v - mean) / scale : NaN);
+  }
+
+  /**
+   * k nearest neighbours of one row: weighted Euclidean distance on columns
+   * already z-scored by standardize(). Candidates are `indices` without the
+   * row itself; candidates missing a weighted feature are skipped.
+   * Returns [{ row, distance }], nearest first.
+   */
+  function nearestNeighbors(fields, row, { features, weights = {}, k = 10, indices }) {
+    const used = features.filter(f => (weights[f] ?? 1) > 0 && Number.isFinite(fields[f][row]));
+    const cols = used.map(f => fields[f]);
+    const w = used.map(f => weights[f] ?? 1);
+    const target = cols.map(col => col[row]);
+
+    // Sorted insertion into the current best k; k is small
+    const best = [];
+    for (let j = 0; j < indices.length; j++) {
+      const i = indices[j];
+      if (i === row) continue;
+      let d2 = 0;
+      for (let f = 0; f < cols.length; f++) {
+        const dz = cols[f][i] - target[f];
+        d2 += w[f] * dz * dz;
+      }
+      if (!Number.isFinite(d2)) continue;
+      if (best.length === k && d2 >= best[k - 1].d2) continue;
+      let at = best.length;
+      while (at > 0 && best[at - 1].d2 > d2) at--;
+      best.splice(at, 0, { row: i, d2 });
+      if (best.length > k) best.pop();
+    }
+    return best.map(b => ({ row: b.row, distance: Math.sqrt(b.d2) }));
+  }
+
+  // Gather one column's values for a subset of rows
+  function gather(column, indices) {
+    const out = new Float64Array(indices.length);
+    for (let k = 0; k < indices.length; k++) out[k] = column[indices[k]];
+    return out;
+  }
+
+  // Same rows in the same order; only equal subsets may share cached pairs
+  function sameIndices(a, b) {
+    if (!a || !b || a.length !== b.length) return false;
+    for (let k = 0; k < a.length; k++) {
+      if (a[k] !== b[k]) return false;
+    }
+    return true;
+  }
+
+  // Avg popularity by genre, highest first
+  function topGenres(cols, indices, k = 10) {
+    const n = new Float64Array(cols.genres.length);
+    const sum = new Float64Array(cols.genres.length);
+    const pop = cols.fields.popularity;
+    for (let j = 0; j < indices.length; j++) {
+      const i = indices[j];
+      const v = pop[i];
+      if (!Number.isFinite(v)) continue;
+      n[cols.genre[i]]++;
+      sum[cols.genre[i]] += v;
+    }
+    const out = [];
+    cols.genres.forEach((genre, c) => {
+      if (n[c]) out.push({ genre, n: n[c], avg: sum[c] / n[c] });
+    });
+    out.sort((a, b) => b.avg - a.avg);
+    return out.slice(0, k);
+  }
+
+  // 1st–99th percentile of a column's finite values: the 0–1 span of profile
+  // charts, so a few extreme tracks don't flatten everyone else
+  function featureDomain(column) {
+    const sorted = column.filter(Number.isFinite).sort();
+    const lo = quantileSorted(sorted, 0.01);
+    const hi = quantileSorted(sorted, 0.99);
+    if (!Number.isFinite(lo)) return [0, 1];
+    return [lo, hi > lo ? hi : lo + 1];
+  }
+
+  /**
+   * Mean or median of each feature per genre over `indices`, in the order of
+   * `genres`, raw and scaled to 0–1 over `domains` (clamped; featureDomain of
+   * the whole column when a feature has none).
+   * Returns { features, stat, domains, genres: [{ genre, n, raw, scaled }] }.
+   */
+  function genreProfiles(cols, indices, { genres, features, stat = "mean", domains = {} }) {
+    const code = new Map(cols.genres.map((g, c) => [g, c]));
+    const slot = new Int32Array(cols.genres.length).fill(-1);
+    genres.forEach((g, j) => { if (code.has(g)) slot[code.get(g)] = j; });
+    const rowsOf = genres.map(() => []);
+    for (let k = 0; k < indices.length; k++) {
+      const j = slot[cols.genre[indices[k]]];
+      if (j >= 0) rowsOf[j].push(indices[k]);
+    }
+
+    const span = {};
+    for (const f of features) span[f] = domains[f] || featureDomain(cols.fields[f]);
+
+    return {
+      features,
+      stat,
+      domains: span,
+      genres: genres.map((genre, j) => {
+        const raw = {};
+        const scaled = {};
+        for (const f of features) {
+          const vals = gather(cols.fields[f], rowsOf[j]).filter(Number.isFinite);
+          let v = NaN;
+          if (vals.length) {
+            v = stat === "median" ? quantileSorted(vals.sort(), 0.5) : vals.reduce((a, x) => a + x, 0) / vals.length;
+          }
+          const [lo, hi] = span[f];
+          raw[f] = v;
+          scaled[f] = Math.max(0, Math.min(1, (v - lo) / (hi - lo)));
+        }
+        return { genre, n: rowsOf[j].length, raw, scaled };
+      })
+    };
+  }
+
+  /**
+   * Each feature in cohort `a` against cohort `b` (row-index arrays): both
+   * sides summarized as by yearlySeries (mean, SD, quartiles, histogram over
+   * the feature's domain), the difference in means (a − b), Cohen's d with the
+   * pooled SD and Welch's two-sided t-test p. Ranked by |d|, largest first.
+   * Returns [{ feature, domain, a, b, diff, d, p }]; a / b are null when empty.
+   */
+  function compareCohorts(cols, a, b, { features, bins = 24, domains = {} }) {
+    const tCrit = df => tCritical(0.95, df);
+    const summary = (column, indices, domain) => {
+      const values = gather(column, indices).filter(Number.isFinite);
+      return values.length ? describe(values, domain, bins, tCrit) : null;
+    };
+
+    return features.map(feature => {
+      const column = cols.fields[feature];
+      const domain = domains[feature] || featureDomain(column);
+      const sa = summary(column, a, domain);
+      const sb = summary(column, b, domain);
+      let diff = NaN, d = NaN, p = NaN;
+      if (sa && sb) {
+        diff = sa.avg - sb.avg;
+        if (sa.n > 1 && sb.n > 1) {
+          const pooled = Math.sqrt(((sa.n - 1) * sa.sd ** 2 + (sb.n - 1) * sb.sd ** 2) / (sa.n + sb.n - 2));
+          const va = sa.sd ** 2 / sa.n, vb = sb.sd ** 2 / sb.n;
+          const df = (va + vb) ** 2 / (va ** 2 / (sa.n - 1) + vb ** 2 / (sb.n - 1));
+          if (pooled > 0) d = diff / pooled;
+          if (va + vb > 0) p = tTestP(diff / Math.sqrt(va + vb), df);
+        }
+      }
+      return { feature, domain, a: sa, b: sb, diff, d, p };
+    }).sort((x, y) => (Math.abs(y.d) || 0) - (Math.abs(x.d) || 0));
+  }
+
+  // Top artists by mean or total popularity, with track counts and genre mix.
+  // Ranking by mean skips artists with fewer than minTracks tracks, so one
+  // hit does not outrank a catalogue.
+  function topArtists(cols, indices, { k = 15, by = "mean", minTracks = 3 } = {}) {
+    const n = new Uint32Array(cols.artists.length);
+    const sum = new Float64Array(cols.artists.length);
+    const pop = cols.fields.popularity;
+    for (let j = 0; j < indices.length; j++) {
+      const i = indices[j];
+      if (!Number.isFinite(pop[i])) continue;
+      n[cols.artist[i]]++;
+      sum[cols.artist[i]] += pop[i];
+    }
+
+    const minN = by === "mean" ? minTracks : 1;
+    const score = by === "mean" ? a => sum[a] / n[a] : a => sum[a];
+    const ranked = [];
+    cols.artists.forEach((name, a) => {
+      if (name && n[a] >= minN) ranked.push(a);
+    });
+    ranked.sort((a, b) => score(b) - score(a) || n[b] - n[a]);
+    const top = ranked.slice(0, k);
+
+    // Genre counts only for the artists shown
+    const mix = new Map(top.map(a => [a, new Uint32Array(cols.genres.length)]));
+    for (let j = 0; j < indices.length; j++) {
+      const i = indices[j];
+      const counts = mix.get(cols.artist[i]);
+      if (counts && Number.isFinite(pop[i])) counts[cols.genre[i]]++;
+    }
+
+    return top.map(a => ({
+      artist: cols.artists[a],
+      n: n[a],
+      avg: sum[a] / n[a],
+      total: sum[a],
+      genres: Array.from(mix.get(a), (c, g) => ({ genre: cols.genres[g], n: c }))
+        .filter(d => d.n > 0)
+        .sort((x, y) => y.n - x.n)
+    }));
+  }
+
+  // Quantile of sorted values (linear interpolation, R type 7 / d3.quantileSorted)
+  function quantileSorted(sorted, p) {
+    const n = sorted.length;
+    if (!n) return NaN;
+    const h = (n - 1) * p;
+    const lo = Math.floor(h);
+    return lo + 1 < n ? sorted[lo] + (h - lo) * (sorted[lo + 1] - sorted[lo]) : sorted[lo];
+  }
+
+  // Summary of one year's values: mean with a 95% t interval, quartiles,
+  // Tukey whiskers (most extreme values within 1.5 IQR) and a histogram over `domain`
+  function describe(values, domain, bins, tCrit) {
+    const sorted = Float64Array.from(values).sort();
+    const n = sorted.length;
+    let sum = 0;
+    for (let k = 0; k < n; k++) sum += sorted[k];
+    const avg = sum / n;
+    let ss = 0;
+    for (let k = 0; k < n; k++) ss += (sorted[k] - avg) ** 2;
+    const sd = n > 1 ? Math.sqrt(ss / (n - 1)) : NaN;
+    const half = n > 1 ? tCrit(n - 1) * sd / Math.sqrt(n) : NaN;
+
+    const q1 = quantileSorted(sorted, 0.25);
+    const q3 = quantileSorted(sorted, 0.75);
+    const fenceLo = q1 - 1.5 * (q3 - q1), fenceHi = q3 + 1.5 * (q3 - q1);
+    let whiskerLo = q1, whiskerHi = q3;
+    for (let k = 0; k < n; k++) if (sorted[k] >= fenceLo) { whiskerLo = sorted[k]; break; }
+    for (let k = n - 1; k >= 0; k--) if (sorted[k] <= fenceHi) { whiskerHi = sorted[k]; break; }
+
+    const hist = new Array(bins).fill(0);
+    const width = (domain[1] - domain[0]) / bins || 1;
+    for (let k = 0; k < n; k++) {
+      hist[Math.min(bins - 1, Math.max(0, Math.floor((sorted[k] - domain[0]) / width)))]++;
+    }
+
+    return {
+      n, avg, sd,
+      lo95: avg - half, hi95: avg + half,
+      median: quantileSorted(sorted, 0.5), q1, q3,
+      whiskerLo, whiskerHi, min: sorted[0], max: sorted[n - 1],
+      hist
+    };
+  }
+
+  // Per-year summaries of a field for each series. A series is { key, field,
+  // genres }: all rows (genres null) or the rows of a list of genres, with
+  // `field` defaulting to popularity. Histograms share the field's range over
+  // the subset (`domain`) so violins are comparable across years; `center` and
+  // `scale` are the field's subset mean and SD, for z-scoring several metrics.
+  function yearlySeries(cols, indices, series, { bins = 20 } = {}) {
+    const code = new Map(cols.genres.map((g, c) => [g, c]));
+    const year = cols.fields.year;
+
+    // Rows per year for each distinct genre list; fields are read per series
+    const groupKey = s => (s.genres ? s.genres.join("\u0001") : "");
+    const groups = new Map();
+    for (const s of series) {
+      if (!groups.has(groupKey(s))) groups.set(groupKey(s), { genres: s.genres, years: new Map() });
+    }
+    const groupsOf = cols.genres.map(() => []);
+    const everyRow = [];
+    for (const grp of groups.values()) {
+      if (!grp.genres) everyRow.push(grp);
+      else for (const g of grp.genres) if (code.has(g)) groupsOf[code.get(g)].push(grp);
+    }
+    const add = (grp, y, i) => {
+      const rows = grp.years.get(y);
+      if (rows) rows.push(i);
+      else grp.years.set(y, [i]);
+    };
+    for (let j = 0; j < indices.length; j++) {
+      const i = indices[j];
+      const y = year[i];
+      if (!Number.isFinite(y)) continue;
+      for (const grp of everyRow) add(grp, y, i);
+      for (const grp of groupsOf[cols.genre[i]]) add(grp, y, i);
+    }
+
+    // Range, mean and SD of each field over the subset
+    const fieldStats = new Map();
+    const statsOf = field => {
+      if (fieldStats.has(field)) return fieldStats.get(field);
+      const col = cols.fields[field];
+      let n = 0, sum = 0, ss = 0, lo = Infinity, hi = -Infinity;
+      for (let j = 0; j < indices.length; j++) {
+        const v = col[indices[j]];
+        if (!Number.isFinite(v)) continue;
+        n++; sum += v;
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+      }
+      const mean = n ? sum / n : NaN;
+      for (let j = 0; j < indices.length; j++) {
+        const v = col[indices[j]];
+        if (Number.isFinite(v)) ss += (v - mean) ** 2;
+      }
+      const st = { domain: lo <= hi ? [lo, hi] : [0, 1], center: mean, scale: n > 1 ? Math.sqrt(ss / (n - 1)) || 1 : 1 };
+      fieldStats.set(field, st);
+      return st;
+    };
+
+    const tCache = new Map();
+    const tCrit = df => {
+      if (!tCache.has(df)) tCache.set(df, tCritical(0.95, df));
+      return tCache.get(df);
+    };
+
+    return series.map(s => {
+      const field = s.field || "popularity";
+      const col = cols.fields[field];
+      const { domain, center, scale } = statsOf(field);
+      const values = [];
+      for (const [y, rows] of groups.get(groupKey(s)).years) {
+        const vals = [];
+        for (const i of rows) if (Number.isFinite(col[i])) vals.push(col[i]);
+        if (vals.length) values.push({ year: y, ...describe(vals, domain, bins, tCrit) });
+      }
+      values.sort((a, b) => a.year - b.year);
+      return { key: s.key, field, domain, center, scale, values };
+    });
+  }
+
+  /**
+   * Multiple linear regression of `target` on `features` over a subset, with
+   * optional ridge penalty. Predictors and target are standardized on the
+   * training rows, so `lambda` is on the correlation scale: the fit solves
+   * (XᵀX/n + λI) β = Xᵀy/n and β are standardized coefficients.
+   * A seeded share of rows (`testShare`) is held out for R² and residuals.
+   */
+  function regressionModel(cols, indices, {
+    features, target = "popularity", lambda = 0, testShare = 0.2, seed = 1, maxResiduals = 1500
+  }) {
+    const p = features.length;
+    const X = features.map(f => cols.fields[f]);
+    const Y = cols.fields[target];
+
+    // Complete cases only
+    const train = [], test = [];
+    for (let k = 0; k < indices.length; k++) {
+      const i = indices[k];
+      if (!Number.isFinite(Y[i]) || X.some(col => !Number.isFinite(col[i]))) continue;
+      (splitUniform(i, seed) < testShare ? test : train).push(i);
+    }
+    const empty = { target, lambda, n: train.length + test.length, nTrain: train.length, nTest: test.length };
+    if (train.length < p + 2) return { ...empty, ok: false, reason: "too few complete tracks" };
+
+    const nT = train.length;
+    const mean = new Float64Array(p), sd = new Float64Array(p);
+    let my = 0, sy = 0;
+    for (const i of train) {
+      my += Y[i];
+      for (let j = 0; j < p; j++) mean[j] += X[j][i];
+    }
+    my /= nT;
+    for (let j = 0; j < p; j++) mean[j] /= nT;
+    for (const i of train) {
+      sy += (Y[i] - my) ** 2;
+      for (let j = 0; j < p; j++) sd[j] += (X[j][i] - mean[j]) ** 2;
+    }
+    sy = Math.sqrt(sy / nT);
+    for (let j = 0; j < p; j++) sd[j] = Math.sqrt(sd[j] / nT);
+    if (!sy) return { ...empty, ok: false, reason: `${target} is constant` };
+
+    // Constant predictors (e.g. a narrow brush) get a zero coefficient
+    const active = features.map((_, j) => j).filter(j => sd[j] > 0);
+    const q = active.length;
+    const A = Array.from({ length: q }, () => new Float64Array(q));
+    const b = new Float64Array(q);
+    const z = new Float64Array(q);
+    for (const i of train) {
+      for (let a = 0; a < q; a++) z[a] = (X[active[a]][i] - mean[active[a]]) / sd[active[a]];
+      const zy = (Y[i] - my) / sy;
+      for (let a = 0; a < q; a++) {
+        b[a] += z[a] * zy;
+        for (let c = 0; c <= a; c++) A[a][c] += z[a] * z[c];
+      }
+    }
+    for (let a = 0; a < q; a++) {
+      b[a] /= nT;
+      for (let c = 0; c <= a; c++) A[c][a] = A[a][c] /= nT;
+      A[a][a] += lambda;
+    }
+    const solved = choleskySolve(A, b);
+    if (!solved) return { ...empty, ok: false, reason: "collinear features; try a ridge penalty" };
+
+    const beta = new Float64Array(p);
+    active.forEach((j, a) => { beta[j] = solved[a]; });
+    const coef = Array.from(beta, (bj, j) => (sd[j] ? bj * sy / sd[j] : 0));
+    const intercept = my - coef.reduce((s, c, j) => s + c * mean[j], 0);
+    const predict = i => {
+      let v = intercept;
+      for (let j = 0; j < p; j++) v += coef[j] * X[j][i];
+      return v;
+    };
+
+    const r2 = rows => {
+      if (rows.length < 2) return NaN;
+      let m = 0;
+      for (const i of rows) m += Y[i];
+      m /= rows.length;
+      let sse = 0, sst = 0;
+      for (const i of rows) {
+        sse += (Y[i] - predict(i)) ** 2;
+        sst += (Y[i] - m) ** 2;
+      }
+      return sst ? 1 - sse / sst : NaN;
+    };
+
+    // Held-out residuals; an evenly strided sample keeps the message small
+    const residuals = [];
+    let sse = 0;
+    const stride = Math.max(1, Math.ceil(test.length / maxResiduals));
+    test.forEach((i, k) => {
+      const fitted = predict(i);
+      const residual = Y[i] - fitted;
+      sse += residual * residual;
+      if (k % stride === 0) residuals.push({ row: i, fitted, residual });
+    });
+
+    return {
+      ...empty,
+      ok: true,
+      coefficients: features.map((feature, j) => ({ feature, beta: beta[j], coef: coef[j] })),
+      intercept,
+      r2Train: r2(train),
+      r2Test: r2(test),
+      rmseTest: test.length ? Math.sqrt(sse / test.length) : NaN,
+      residuals
+    };
+  }
+
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  /* ---------- Projections (PCA, t-SNE) ---------- */
+
+  // Eigen-decomposition of a symmetric matrix (array of rows) by cyclic Jacobi
+  // rotations; returns [{ value, vector }] with eigenvalues in descending order.
+  function symmetricEigen(M) {
+    const p = M.length;
+    const A = M.map(r => Float64Array.from(r));
+    const V = Array.from({ length: p }, (_, i) => {
+      const r = new Float64Array(p);
+      r[i] = 1;
+      return r;
+    });
+
+    for (let sweep = 0; sweep < 100; sweep++) {
+      let off = 0;
+      for (let i = 0; i < p; i++) for (let j = i + 1; j < p; j++) off += A[i][j] * A[i][j];
+      if (off < 1e-22) break;
+
+      for (let i = 0; i < p; i++) {
+        for (let j = i + 1; j < p; j++) {
+          if (A[i][j] === 0) continue;
+          const theta = (A[j][j] - A[i][i]) / (2 * A[i][j]);
+          const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+          const c = 1 / Math.sqrt(t * t + 1);
+          const s = t * c;
+          for (let k = 0; k < p; k++) {
+            const aki = A[k][i], akj = A[k][j];
+            A[k][i] = c * aki - s * akj;
+            A[k][j] = s * aki + c * akj;
+          }
+          for (let k = 0; k < p; k++) {
+            const aik = A[i][k], ajk = A[j][k];
+            A[i][k] = c * aik - s * ajk;
+            A[j][k] = s * aik + c * ajk;
+          }
+          for (let k = 0; k < p; k++) {
+            const vki = V[k][i], vkj = V[k][j];
+            V[k][i] = c * vki - s * vkj;
+            V[k][j] = s * vki + c * vkj;
+          }
+        }
+      }
+    }
+
+    return Array.from({ length: p }, (_, i) => i)
+      .sort((a, b) => A[b][b] - A[a][a])
+      .map(i => ({ value: A[i][i], vector: Float64Array.from(V, row => row[i]) }));
+  }
+
+  /**
+   * Principal components of the z-scored features, fitted on the complete
+   * rows among `indices`. Loadings are feature–component correlations
+   * (eigenvector × √eigenvalue), signed so the largest loading is positive.
+   * Returns { features, components: [{ variance, share, loadings }], x, y }
+   * where x / y hold the first two component scores of every row (NaN when
+   * a feature is missing).
+   */
+  function pca(fields, features, indices) {
+    const p = features.length;
+    const cols = features.map(f => fields[f]);
+    const N = cols[0].length;
+    const complete = i => cols.every(col => Number.isFinite(col[i]));
+
+    const rows = [];
+    for (let k = 0; k < indices.length; k++) if (complete(indices[k])) rows.push(indices[k]);
+    const n = rows.length;
+    const mean = new Float64Array(p), sd = new Float64Array(p);
+    for (const i of rows) for (let j = 0; j < p; j++) mean[j] += cols[j][i];
+    for (let j = 0; j < p; j++) mean[j] /= n;
+    for (const i of rows) for (let j = 0; j < p; j++) sd[j] += (cols[j][i] - mean[j]) ** 2;
+    for (let j = 0; j < p; j++) sd[j] = Math.sqrt(sd[j] / Math.max(1, n - 1)) || 1;
+
+    const C = Array.from({ length: p }, () => new Float64Array(p));
+    const z = new Float64Array(p);
+    for (const i of rows) {
+      for (let j = 0; j < p; j++) z[j] = (cols[j][i] - mean[j]) / sd[j];
+      for (let a = 0; a < p; a++) for (let b = 0; b <= a; b++) C[a][b] += z[a] * z[b];
+    }
+    for (let a = 0; a < p; a++) {
+      for (let b = 0; b <= a; b++) C[b][a] = C[a][b] /= Math.max(1, n - 1);
+    }
+
+    const eig = symmetricEigen(C);
+    const total = eig.reduce((s, e) => s + Math.max(0, e.value), 0) || 1;
+    for (const e of eig) {
+      let big = 0;
+      for (let j = 1; j < p; j++) if (Math.abs(e.vector[j]) > Math.abs(e.vector[big])) big = j;
+      if (e.vector[big] < 0) for (let j = 0; j < p; j++) e.vector[j] = -e.vector[j];
+    }
+
+    const x = new Float64Array(N), y = new Float64Array(N);
+    const [v1, v2] = eig;
+    for (let i = 0; i < N; i++) {
+      if (!complete(i)) { x[i] = y[i] = NaN; continue; }
+      let s1 = 0, s2 = 0;
+      for (let j = 0; j < p; j++) {
+        const zj = (cols[j][i] - mean[j]) / sd[j];
+        s1 += zj * v1.vector[j];
+        s2 += zj * v2.vector[j];
+      }
+      x[i] = s1;
+      y[i] = s2;
+    }
+
+    return {
+      features,
+      n,
+      components: eig.map(e => ({
+        variance: e.value,
+        share: Math.max(0, e.value) / total,
+        loadings: Array.from(e.vector, v => v * Math.sqrt(Math.max(0, e.value)))
+      })),
+      x,
+      y
+    };
+  }
+
+  // Seeded uniform [0, 1) generator (mulberry32)
+  function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * t-SNE of n points with d dimensions (row-major Float64Array X), exact
+   * O(n²) gradient. Every `progressEvery` iterations it calls
+   * onProgress(iteration, Y) and yields; returns null once isStale() is true,
+   * else the final Y (row-major n x 2).
+   */
+  async function tsne(X, n, d, {
+    perplexity = 30, iterations = 500, seed = 1, learningRate = 200,
+    progressEvery = 25, onProgress = null
+  } = {}, isStale = () => false) {
+    // Squared input distances; the buffer is reused for the Q numerators later
+    const W = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        let s = 0;
+        for (let k = 0; k < d; k++) {
+          const diff = X[i * d + k] - X[j * d + k];
+          s += diff * diff;
+        }
+        W[i * n + j] = W[j * n + i] = s;
+      }
+    }
+
+    // Conditional P(j|i) with a per-point bandwidth matching the perplexity
+    const P = new Float64Array(n * n);
+    const targetH = Math.log(Math.min(perplexity, (n - 1) / 3));
+    for (let i = 0; i < n; i++) {
+      let beta = 1, lo = -Infinity, hi = Infinity;
+      for (let tries = 0; tries < 50; tries++) {
+        let sum = 0, dot = 0;
+        for (let j = 0; j < n; j++) {
+          if (j === i) continue;
+          const pj = Math.exp(-W[i * n + j] * beta);
+          P[i * n + j] = pj;
+          sum += pj;
+          dot += W[i * n + j] * pj;
+        }
+        if (!sum) sum = 1e-300;
+        const H = Math.log(sum) + beta * dot / sum;
+        for (let j = 0; j < n; j++) P[i * n + j] /= sum;
+        if (Math.abs(H - targetH) < 1e-5) break;
+        if (H > targetH) {
+          lo = beta;
+          beta = hi === Infinity ? beta * 2 : (beta + hi) / 2;
+        } else {
+          hi = beta;
+          beta = lo === -Infinity ? beta / 2 : (beta + lo) / 2;
+        }
+      }
+      P[i * n + i] = 0;
+    }
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const v = Math.max((P[i * n + j] + P[j * n + i]) / (2 * n), 1e-100);
+        P[i * n + j] = P[j * n + i] = v;
+      }
+    }
+
+    const rand = mulberry32(seed);
+    const gauss = () => Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+    const Y = Float64Array.from({ length: n * 2 }, () => gauss() * 1e-4);
+    const step = new Float64Array(n * 2);
+    const gains = new Float64Array(n * 2).fill(1);
+    const grad = new Float64Array(n * 2);
+
+    for (let iter = 1; iter <= iterations; iter++) {
+      const exaggeration = iter <= 100 ? 4 : 1;
+      const momentum = iter <= 250 ? 0.5 : 0.8;
+
+      // Student-t similarities in the embedding
+      let sumQ = 0;
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+          const dx = Y[2 * i] - Y[2 * j], dy = Y[2 * i + 1] - Y[2 * j + 1];
+          const q = 1 / (1 + dx * dx + dy * dy);
+          W[i * n + j] = W[j * n + i] = q;
+          sumQ += 2 * q;
+        }
+      }
+
+      grad.fill(0);
+      for (let i = 0; i < n; i++) {
+        let gx = 0, gy = 0;
+        for (let j = 0; j < n; j++) {
+          if (j === i) continue;
+          const q = W[i * n + j];
+          const m = (exaggeration * P[i * n + j] - q / sumQ) * q;
+          gx += m * (Y[2 * i] - Y[2 * j]);
+          gy += m * (Y[2 * i + 1] - Y[2 * j + 1]);
+        }
+        grad[2 * i] = 4 * gx;
+        grad[2 * i + 1] = 4 * gy;
+      }
+
+      let mx = 0, my = 0;
+      for (let k = 0; k < 2 * n; k++) {
+        gains[k] = Math.sign(grad[k]) === Math.sign(step[k]) ? gains[k] * 0.8 : gains[k] + 0.2;
+        if (gains[k] < 0.01) gains[k] = 0.01;
+        step[k] = momentum * step[k] - learningRate * gains[k] * grad[k];
+        Y[k] += step[k];
+        if (k % 2) my += Y[k];
+        else mx += Y[k];
+      }
+      for (let i = 0; i < n; i++) {
+        Y[2 * i] -= mx / n;
+        Y[2 * i + 1] -= my / n;
+      }
+
+      if (iter % progressEvery === 0 || iter === iterations) {
+        if (onProgress) onProgress(iter, Y);
+        await tick();
+        if (isStale()) return null;
+      }
+    }
+    return Y;
+  }
+
+  /**
+   * Stateful analytics engine; one lives in the worker (or on the page when
+   * workers are unavailable). run() yields between matrix rows and returns
+   * null as soon as isStale() reports a newer request.
+   */
+  function createEngine() {
+    let cols = null;
+    let cache = { method: null, indices: null, pairs: new Map() };
+    let domains = {}; // featureDomain per field, over the whole dataset
+
+    function setData(payload) {
+      cols = payload;
+      cache = { method: null, indices: null, pairs: new Map() };
+      domains = {};
+    }
+
+    function domainsOf(features) {
+      for (const f of features) {
+        if (!domains[f]) domains[f] = featureDomain(cols.fields[f]);
+      }
+      return domains;
+    }
+
+    // Genre profiles of the bar chart's genres over the same rows
+    function profilesFor(bars, indices, { features, stat }) {
+      return genreProfiles(cols, indices, { genres: bars.map(b => b.genre), features, stat, domains: domainsOf(features) });
+    }
+
+    async function correlations(indices, features, method, isStale) {
+      if (cache.method !== method || !sameIndices(cache.indices, indices)) {
+        cache = { method, indices, pairs: new Map() };
+      }
+
+      // Columns are gathered once per request, not once per pair
+      const gathered = new Map();
+      const column = f => {
+        if (!gathered.has(f)) gathered.set(f, gather(cols.fields[f], indices));
+        return gathered.get(f);
+      };
+
+      // Symmetric: compute the upper triangle, and only pairs not cached for this subset
+      const corr = CORR_METHODS[method].fn;
+      for (let i = 0; i < features.length; i++) {
+        for (let j = i; j < features.length; j++) {
+          const pk = `${features[i]}|${features[j]}`;
+          if (cache.pairs.has(pk)) continue;
+          const { x, y } = alignFinite(column(features[i]), column(features[j]));
+          const r = corr(x, y);
+          cache.pairs.set(pk, { r, n: x.length, p: corrPValue(method, r, x.length) });
+        }
+        await tick();
+        if (isStale()) return null;
+      }
+
+      const matrix = [];
+      for (let i = 0; i < features.length; i++) {
+        for (let j = 0; j < features.length; j++) {
+          const [p, q] = i <= j ? [i, j] : [j, i];
+          const cell = cache.pairs.get(`${features[p]}|${features[q]}`);
+          matrix.push({ a: features[i], b: features[j], ...cell });
+        }
+      }
+      return matrix;
+    }
+
+    async function run(request, isStale = () => false) {
+      if (!cols) throw new Error("analytics: no data loaded");
+      const bars = topGenres(cols, request.barIndices, request.topK);
+      const artists = request.artistIndices ? topArtists(cols, request.artistIndices, request.artistOptions) : null;
+      const series = yearlySeries(cols, request.indices, request.series);
+      if (isStale()) return null;
+      const corr = await correlations(request.indices, request.features, request.method || "pearson", isStale);
+      if (!corr) return null;
+      const model = request.model ? regressionModel(cols, request.indices, request.model) : null;
+      const profiles = request.profiles ? profilesFor(bars, request.barIndices, request.profiles) : null;
+      const cohorts = request.cohorts
+        ? compareCohorts(cols, request.cohorts.a, request.cohorts.b, {
+          features: request.cohorts.features,
+          domains: domainsOf(request.cohorts.features)
+        })
+        : null;
+      return { bars, artists, series, corr, model, profiles, cohorts };
+    }
+
+    return { setData, run };
+  }
+
+  return {
+    pearsonCorr,
+    spearmanCorr,
+    kendallTauB,
+    rank,
+    CORR_METHODS,
+    corrPValue,
+    corrCI,
+    tTestP,
+    normalCdf,
+    normalQuantile,
+    tCritical,
+    incompleteBeta,
+    alignFinite,
+    linearFit,
+    loess,
+    choleskySolve,
+    splitUniform,
+    standardize,
+    nearestNeighbors,
+    gather,
+    sameIndices,
+    topGenres,
+    featureDomain,
+    genreProfiles,
+    compareCohorts,
+    topArtists,
+    quantileSorted,
+    yearlySeries,
+    regressionModel,
+    symmetricEigen,
+    pca,
+    mulberry32,
+    tsne,
+    createEngine
+  };
+});